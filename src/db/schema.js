@@ -0,0 +1,234 @@
+// Schema additions owned by the API
+// Base tables (users, cocktails, orders, available_ingredients) live in Bartending_DB.
+// Every statement here must be idempotent: it runs on each server start.
+import pool from './pool.js';
+
+const statements = [
+  // Order status timeline
+  `CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_order_status_history_order
+    ON order_status_history (order_id, changed_at)`,
+
+  // Multi-item orders (orders.cocktail_id keeps the first line)
+  `CREATE TABLE IF NOT EXISTS order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    cocktail_id VARCHAR(100) NOT NULL REFERENCES cocktails(id),
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items (order_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_order_items_cocktail ON order_items (cocktail_id)`,
+  // Backfill single-cocktail orders created before order_items existed
+  `INSERT INTO order_items (order_id, cocktail_id, quantity, notes, created_at)
+    SELECT o.id, o.cocktail_id, 1, NULL, o.created_at
+    FROM orders o
+    WHERE o.cocktail_id IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id)`,
+
+  // Responsible serving: alcohol-free drinks don't count toward limits
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS alcohol_free BOOLEAN NOT NULL DEFAULT false`,
+  `CREATE TABLE IF NOT EXISTS serving_limit_overrides (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    exempt BOOLEAN NOT NULL DEFAULT false,
+    max_drinks INTEGER CHECK (max_drinks >= 0),
+    window_minutes INTEGER CHECK (window_minutes > 0),
+    cooldown_minutes INTEGER CHECK (cooldown_minutes >= 0),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Bar sessions ("events"), menu NULL = every cocktail
+  `CREATE TABLE IF NOT EXISTS bar_sessions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255),
+    menu JSONB,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closes_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    opened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+  )`,
+  // At most one session without closed_at
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_bar_sessions_single_open
+    ON bar_sessions ((true)) WHERE closed_at IS NULL`,
+  `ALTER TABLE orders ADD COLUMN IF NOT EXISTS session_id INTEGER
+    REFERENCES bar_sessions(id) ON DELETE SET NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_orders_session ON orders (session_id)`,
+
+  // Quantity-based inventory (quantity NULL = not tracked, in_stock only)
+  `ALTER TABLE available_ingredients ADD COLUMN IF NOT EXISTS quantity NUMERIC`,
+  `ALTER TABLE available_ingredients ADD COLUMN IF NOT EXISTS unit VARCHAR(20)`,
+  `ALTER TABLE available_ingredients ADD COLUMN IF NOT EXISTS bottle_size_ml NUMERIC(8, 2)`,
+  // Recipe amounts per cocktail
+  `CREATE TABLE IF NOT EXISTS cocktail_ingredients (
+    cocktail_id VARCHAR(100) NOT NULL REFERENCES cocktails(id) ON DELETE CASCADE,
+    ingredient_id INTEGER NOT NULL REFERENCES available_ingredients(id),
+    amount NUMERIC(8, 2) NOT NULL CHECK (amount > 0),
+    unit VARCHAR(20) NOT NULL,
+    PRIMARY KEY (cocktail_id, ingredient_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS ingredient_stock_movements (
+    id SERIAL PRIMARY KEY,
+    ingredient_id INTEGER NOT NULL REFERENCES available_ingredients(id) ON DELETE CASCADE,
+    delta NUMERIC NOT NULL,
+    unit VARCHAR(20) NOT NULL,
+    reason TEXT NOT NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_stock_movements_ingredient
+    ON ingredient_stock_movements (ingredient_id, created_at)`,
+
+  // Structured recipes
+  `ALTER TABLE cocktail_ingredients ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0`,
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS description TEXT`,
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS method VARCHAR(20)`,
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS glass VARCHAR(50)`,
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS garnish VARCHAR(2000)`,
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS steps JSONB NOT NULL DEFAULT '[]'`,
+
+  // Cocktail search and filters
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS spirit_base VARCHAR(50)`,
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS tags JSONB NOT NULL DEFAULT '[]'`,
+  `CREATE INDEX IF NOT EXISTS idx_cocktails_tags ON cocktails USING GIN (tags)`,
+  // Lowercase and strip accents (no dependency on the unaccent extension)
+  `CREATE OR REPLACE FUNCTION normalize_text(input TEXT) RETURNS TEXT AS $$
+    SELECT replace(replace(translate(lower(input),
+      'àáâãäåçèéêëìíîïñòóôõöùúûüýÿ',
+      'aaaaaaceeeeiiiinooooouuuuyy'), 'œ', 'oe'), 'æ', 'ae')
+  $$ LANGUAGE sql IMMUTABLE`,
+
+  // Menu taxonomy: tags (many per cocktail, slugs in cocktails.tags) and categories (one per cocktail)
+  `CREATE TABLE IF NOT EXISTS tags (
+    slug VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Register free-form tags set before the taxonomy existed
+  `INSERT INTO tags (slug, name)
+    SELECT DISTINCT t, t
+    FROM cocktails CROSS JOIN LATERAL jsonb_array_elements_text(tags) t
+    ON CONFLICT (slug) DO NOTHING`,
+  `CREATE TABLE IF NOT EXISTS categories (
+    slug VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS category VARCHAR(50)
+    REFERENCES categories(slug) ON UPDATE CASCADE ON DELETE SET NULL`,
+
+  // Alcohol by volume (%) of each ingredient, 0 for mixers
+  `ALTER TABLE available_ingredients ADD COLUMN IF NOT EXISTS abv NUMERIC(5,2) NOT NULL DEFAULT 0
+    CHECK (abv >= 0 AND abv <= 100)`,
+
+  // Archived cocktails leave the menu but stay resolvable in order history
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP`,
+  // Placeholder for orders whose cocktail was deleted with ?anonymize=true
+  `INSERT INTO cocktails (id, name, ingredients, available, archived_at)
+    VALUES ('_deleted', 'Cocktail supprimé', '[]', false, NOW())
+    ON CONFLICT (id) DO NOTHING`,
+
+  // Thumbnail of an uploaded cocktail image (cocktails.image holds the full size)
+  `ALTER TABLE cocktails ADD COLUMN IF NOT EXISTS thumbnail VARCHAR(255)`,
+
+  // Order modifiers: global (cocktail_id NULL) or for one cocktail; at most one per group on a line
+  `CREATE TABLE IF NOT EXISTS modifiers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    group_name VARCHAR(50),
+    cocktail_id VARCHAR(100) REFERENCES cocktails(id) ON DELETE CASCADE,
+    remove_ingredients JSONB NOT NULL DEFAULT '[]',
+    add_ingredients JSONB NOT NULL DEFAULT '[]',
+    alcohol_factor NUMERIC(3, 2) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_modifiers_name
+    ON modifiers (LOWER(name), COALESCE(cocktail_id, ''))`,
+  // Modifiers chosen on a line, snapshotted so later edits don't rewrite past orders
+  `ALTER TABLE order_items ADD COLUMN IF NOT EXISTS modifiers JSONB NOT NULL DEFAULT '[]'`,
+  // Combined alcohol factor of those modifiers (0 = virgin, 2 = double)
+  `ALTER TABLE order_items ADD COLUMN IF NOT EXISTS alcohol_factor NUMERIC(4, 2) NOT NULL DEFAULT 1`,
+
+  // Ratings from guests who were served the cocktail, one per guest; admins can hide the comment
+  `CREATE TABLE IF NOT EXISTS cocktail_reviews (
+    id SERIAL PRIMARY KEY,
+    cocktail_id VARCHAR(100) NOT NULL REFERENCES cocktails(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    hidden_at TIMESTAMP,
+    hidden_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (cocktail_id, user_id)
+  )`,
+
+  // Party shopping-list plans (cocktail ids, guests, drinks per guest), re-run against current stock
+  `ALTER TABLE available_ingredients ADD COLUMN IF NOT EXISTS pack_size NUMERIC(8, 2)
+    CHECK (pack_size > 0)`,
+  `CREATE TABLE IF NOT EXISTS party_plans (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    cocktails JSONB NOT NULL,
+    guest_count INTEGER NOT NULL CHECK (guest_count > 0),
+    drinks_per_guest NUMERIC(4, 1) NOT NULL CHECK (drinks_per_guest > 0),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Archived orders: cleared from the board but kept for stats, until the retention policy
+  // purges them or anonymizes them (user and notes removed, hence the nullable user_id)
+  `ALTER TABLE orders ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP`,
+  `ALTER TABLE orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP`,
+  `ALTER TABLE orders ALTER COLUMN user_id DROP NOT NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_orders_archived ON orders (archived_at) WHERE archived_at IS NOT NULL`,
+
+  // Audit trail of admin writes (actor name kept so entries survive the user's deletion)
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    actor_username VARCHAR(50),
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50),
+    target_id VARCHAR(100),
+    before JSONB,
+    after JSONB,
+    ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at DESC, id DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_type, target_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id)`,
+];
+
+/**
+ * Apply schema additions in a single transaction
+ */
+export async function ensureSchema() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const statement of statements) {
+      await client.query(statement);
+    }
+    await client.query('COMMIT');
+    console.log('✅ Database schema up to date');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
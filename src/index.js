@@ -11,6 +11,7 @@ import os from 'os';
 
 // Import database
 import pool, { testConnection } from './db/pool.js';
+import { ensureSchema } from './db/schema.js';
 
 // Import middleware
 import { apiLimiter, authLimiter } from './middleware/rateLimiter.js';
@@ -22,6 +23,14 @@ import adminRouter from './routes/admin.js';
 import ingredientsRouter from './routes/ingredients.js';
 import authRouter from './routes/auth.js';
 import usersRouter from './routes/users.js';
+import barRouter from './routes/bar.js';
+import tagsRouter from './routes/tags.js';
+import categoriesRouter from './routes/categories.js';
+import modifiersRouter from './routes/modifiers.js';
+import plansRouter from './routes/plans.js';
+import { UPLOAD_DIR } from './services/images.js';
+import { startRetentionSchedule } from './services/orderRetention.js';
+import { DAY_START_HOUR, DEFAULT_TIMEZONE, isTimeZone } from './services/analytics.js';
 
 // Initialize Express
 const app = express();
@@ -38,6 +47,16 @@ if (!process.env.JWT_SECRET) {
   process.exit(1);
 }
 
+if (!Number.isInteger(DAY_START_HOUR) || DAY_START_HOUR < 0 || DAY_START_HOUR > 23) {
+  console.error('❌ ERROR: ANALYTICS_DAY_START_HOUR must be an integer between 0 and 23');
+  process.exit(1);
+}
+
+if (!isTimeZone(DEFAULT_TIMEZONE)) {
+  console.error(`❌ ERROR: ANALYTICS_TIMEZONE is not a known time zone: ${DEFAULT_TIMEZONE}`);
+  process.exit(1);
+}
+
 // Trust reverse proxy (Pangolin/Traefik) for correct client IP detection
 app.set('trust proxy', 1);
 
@@ -59,8 +78,8 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies (large enough for catalog imports)
+app.use(express.json({ limit: '2mb' }));
 
 // Apply general rate limiting to all API routes
 app.use('/api', apiLimiter);
@@ -87,6 +106,17 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Uploaded images (public, file names change on every upload so they can be cached for good)
+app.use('/uploads', express.static(UPLOAD_DIR, {
+  immutable: true,
+  maxAge: '365d',
+  index: false,
+  setHeaders: (res) => {
+    // Let the frontend (another origin) display them despite helmet's same-origin default
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  },
+}));
+
 // Authentication routes (with stricter rate limiting)
 app.use('/auth', authLimiter, authRouter);
 
@@ -96,6 +126,11 @@ app.use('/orders', ordersRouter);
 app.use('/admin', adminRouter);
 app.use('/ingredients', ingredientsRouter);
 app.use('/users', usersRouter);
+app.use('/bar', barRouter);
+app.use('/tags', tagsRouter);
+app.use('/categories', categoriesRouter);
+app.use('/modifiers', modifiersRouter);
+app.use('/plans', plansRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -133,6 +168,12 @@ async function startServer() {
       process.exit(1);
     }
 
+    // Apply API-owned schema additions
+    await ensureSchema();
+
+    // Purge or anonymize old archived orders, if a retention policy is set
+    startRetentionSchedule(pool);
+
     // Start listening
     app.listen(PORT, '0.0.0.0', () => {
       const address = getLocalIP();
@@ -1,5 +1,7 @@
 // Authentication middleware
 import jwt from 'jsonwebtoken';
+import pool from '../db/pool.js';
+import { auditAdminWrite } from '../services/audit.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
@@ -35,6 +37,7 @@ export function authenticateToken(req, res, next) {
 /**
  * Middleware to require admin role
  * Must be used after authenticateToken
+ * Successful admin writes are added to the audit log
  */
 export function requireAdmin(req, res, next) {
   if (!req.user) {
@@ -45,6 +48,7 @@ export function requireAdmin(req, res, next) {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
+  auditAdminWrite(pool, req, res);
   next();
 }
 
@@ -2,6 +2,14 @@
 import { Router } from 'express';
 import pool from '../db/pool.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  CSV_FILES, IMPORT_MODES, exportCatalog, catalogToCsv, catalogFromCsv, validateCatalog, importCatalog
+} from '../services/catalog.js';
+import {
+  parseRange, resolveRange, getOrderTimeline, getCocktailBreakdown, getUserBreakdown, getSummary, getPeakHours
+} from '../services/analytics.js';
+import { getRetentionPolicy, runRetention } from '../services/orderRetention.js';
+import { recordAudit, skipAudit, parseAuditFilters, listAuditEntries } from '../services/audit.js';
 
 const router = Router();
 
@@ -12,9 +20,27 @@ router.use(requireAdmin);
 /**
  * GET /admin/stats
  * Dashboard statistics
+ * Query params: ?sessionId= (limit order statistics to one bar session)
  */
 router.get('/stats', async (req, res) => {
   try {
+    const sessionId = req.query.sessionId ? Number(req.query.sessionId) : null;
+    if (sessionId !== null && !(Number.isInteger(sessionId) && sessionId > 0)) {
+      return res.status(400).json({ error: 'sessionId doit être un entier positif' });
+    }
+
+    let session = null;
+    if (sessionId !== null) {
+      const sessionResult = await pool.query('SELECT * FROM bar_sessions WHERE id = $1', [sessionId]);
+      if (sessionResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Session non trouvée' });
+      }
+      session = sessionResult.rows[0];
+    }
+
+    // Order statistics are scoped to the session when one is given
+    const sessionFilter = '($1::int IS NULL OR session_id = $1)';
+
     // Run all queries in parallel
     const [
       cocktailsResult,
@@ -22,17 +48,30 @@ router.get('/stats', async (req, res) => {
       usersResult,
       ordersResult,
       pendingResult,
-      todayResult
+      todayResult,
+      drinksResult
     ] = await Promise.all([
-      pool.query('SELECT COUNT(*) FROM cocktails'),
-      pool.query('SELECT COUNT(*) FROM cocktails WHERE available = true'),
+      pool.query('SELECT COUNT(*) FROM cocktails WHERE archived_at IS NULL'),
+      pool.query('SELECT COUNT(*) FROM cocktails WHERE available = true AND archived_at IS NULL'),
       pool.query('SELECT COUNT(*) FROM users'),
-      pool.query('SELECT COUNT(*) FROM orders'),
-      pool.query("SELECT COUNT(*) FROM orders WHERE status = 'pending'"),
+      pool.query(`SELECT COUNT(*) FROM orders WHERE ${sessionFilter}`, [sessionId]),
       pool.query(`
         SELECT COUNT(*) FROM orders
-        WHERE created_at >= CURRENT_DATE
-      `)
+        WHERE status = 'pending' AND archived_at IS NULL AND ${sessionFilter}
+      `, [sessionId]),
+      pool.query(`
+        SELECT COUNT(*) FROM orders
+        WHERE created_at >= CURRENT_DATE AND ${sessionFilter}
+      `, [sessionId]),
+      pool.query(`
+        SELECT
+          COALESCE(SUM(oi.quantity), 0) as total,
+          COALESCE(SUM(oi.quantity) FILTER (WHERE o.created_at >= CURRENT_DATE), 0) as today,
+          COUNT(DISTINCT o.user_id) as guests
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE ($1::int IS NULL OR o.session_id = $1)
+      `, [sessionId])
     ]);
 
     res.json({
@@ -41,7 +80,11 @@ router.get('/stats', async (req, res) => {
       totalUsers: parseInt(usersResult.rows[0].count),
       totalOrders: parseInt(ordersResult.rows[0].count),
       pendingOrders: parseInt(pendingResult.rows[0].count),
-      todayOrders: parseInt(todayResult.rows[0].count)
+      todayOrders: parseInt(todayResult.rows[0].count),
+      totalDrinks: parseInt(drinksResult.rows[0].total),
+      todayDrinks: parseInt(drinksResult.rows[0].today),
+      guests: parseInt(drinksResult.rows[0].guests),
+      session
     });
   } catch (error) {
     console.error('Error GET /admin/stats:', error.message);
@@ -51,16 +94,24 @@ router.get('/stats', async (req, res) => {
 
 /**
  * GET /admin/orders/summary
- * Orders grouped by status
+ * Orders grouped by status, with the number of drinks they hold
  */
 router.get('/orders/summary', async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT status, COUNT(*) as count
-      FROM orders
-      GROUP BY status
+      SELECT
+        o.status,
+        COUNT(*) as count,
+        COALESCE(SUM(i.quantity), 0) as drink_count
+      FROM orders o
+      LEFT JOIN (
+        SELECT order_id, SUM(quantity) as quantity
+        FROM order_items
+        GROUP BY order_id
+      ) i ON i.order_id = o.id
+      GROUP BY o.status
       ORDER BY
-        CASE status
+        CASE o.status
           WHEN 'pending' THEN 1
           WHEN 'preparing' THEN 2
           WHEN 'ready' THEN 3
@@ -78,7 +129,7 @@ router.get('/orders/summary', async (req, res) => {
 
 /**
  * GET /admin/cocktails/popular
- * Most ordered cocktails
+ * Most ordered cocktails (counts drinks across all order lines)
  */
 router.get('/cocktails/popular', async (req, res) => {
   try {
@@ -89,11 +140,13 @@ router.get('/cocktails/popular', async (req, res) => {
         c.id,
         c.name,
         c.image,
-        COUNT(o.id) as order_count
+        c.archived_at,
+        COUNT(DISTINCT oi.order_id) as order_count,
+        COALESCE(SUM(oi.quantity), 0) as drink_count
       FROM cocktails c
-      LEFT JOIN orders o ON c.id = o.cocktail_id
-      GROUP BY c.id, c.name, c.image
-      ORDER BY order_count DESC
+      LEFT JOIN order_items oi ON c.id = oi.cocktail_id
+      GROUP BY c.id, c.name, c.image, c.archived_at
+      ORDER BY drink_count DESC, order_count DESC
       LIMIT $1
     `, [parseInt(limit)]);
 
@@ -120,16 +173,25 @@ router.post('/cocktails/toggle-availability', async (req, res) => {
     }
 
     const result = await pool.query(`
-      UPDATE cocktails
+      UPDATE cocktails c
       SET available = $1
-      WHERE id = ANY($2)
-      RETURNING id, name, available
+      FROM (SELECT id, available FROM cocktails WHERE id = ANY($2) FOR UPDATE) previous
+      WHERE c.id = previous.id
+      RETURNING c.id, c.name, c.available, previous.available as previous_available
     `, [available, cocktailIds]);
 
+    const changed = result.rows.filter((row) => row.available !== row.previous_available);
+    await recordAudit(pool, req, {
+      action: 'cocktails.availability',
+      targetType: 'cocktails',
+      before: changed.map(({ id, name, previous_available }) => ({ id, name, available: previous_available })),
+      after: changed.map(({ id, name }) => ({ id, name, available })),
+    });
+
     console.log(`✅ Updated availability for ${result.rowCount} cocktails`);
     res.json({
       success: true,
-      updated: result.rows
+      updated: result.rows.map(({ previous_available, ...row }) => row)
     });
   } catch (error) {
     console.error('Error POST /admin/cocktails/toggle-availability:', error.message);
@@ -137,4 +199,343 @@ router.post('/cocktails/toggle-availability', async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/orders/retention
+ * Apply the retention policy to archived orders now, without waiting for the schedule
+ */
+router.post('/orders/retention', async (req, res) => {
+  try {
+    const policy = getRetentionPolicy();
+
+    if (policy.days === 0) {
+      return res.status(400).json({ error: 'Aucune politique de rétention configurée (ORDER_RETENTION_DAYS)' });
+    }
+
+    const count = await runRetention(pool, policy);
+
+    await recordAudit(pool, req, {
+      action: 'orders.retention',
+      targetType: 'orders',
+      after: { ...policy, count },
+    });
+
+    console.log(`✅ Retention run by ${req.user.username}: ${count} orders (${policy.mode})`);
+    res.json({ policy, count });
+  } catch (error) {
+    console.error('Error POST /admin/orders/retention:', error.message);
+    res.status(500).json({ error: "Erreur lors de l'application de la rétention" });
+  }
+});
+
+/**
+ * GET /admin/reviews
+ * Latest cocktail reviews with a comment, for moderation
+ * Query params: ?hidden=true|false, ?limit=50
+ */
+router.get('/reviews', async (req, res) => {
+  try {
+    const { hidden, limit = 50 } = req.query;
+
+    const result = await pool.query(`
+      SELECT
+        r.id, r.cocktail_id, c.name as cocktail_name,
+        r.user_id, u.username, r.rating, r.comment,
+        r.hidden_at, hu.username as hidden_by,
+        r.created_at, r.updated_at
+      FROM cocktail_reviews r
+      JOIN cocktails c ON c.id = r.cocktail_id
+      JOIN users u ON u.id = r.user_id
+      LEFT JOIN users hu ON hu.id = r.hidden_by
+      WHERE r.comment IS NOT NULL
+        AND ($1::boolean IS NULL OR (r.hidden_at IS NOT NULL) = $1)
+      ORDER BY r.updated_at DESC
+      LIMIT $2
+    `, [hidden === undefined ? null : hidden === 'true', parseInt(limit)]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error GET /admin/reviews:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la récupération des avis' });
+  }
+});
+
+/**
+ * PATCH /admin/reviews/:id
+ * Hide or show a review comment (the rating keeps counting)
+ * Body: { hidden: boolean }
+ */
+router.patch('/reviews/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { hidden } = req.body;
+
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({ error: 'hidden (boolean) est requis' });
+    }
+
+    const result = await pool.query(`
+      UPDATE cocktail_reviews r
+      SET
+        hidden_at = CASE WHEN $1 THEN COALESCE(r.hidden_at, NOW()) END,
+        hidden_by = CASE WHEN $1 THEN COALESCE(r.hidden_by, $2) END
+      FROM (SELECT id, hidden_at FROM cocktail_reviews WHERE id = $3 FOR UPDATE) previous
+      WHERE r.id = previous.id
+      RETURNING r.*, previous.hidden_at as previous_hidden_at
+    `, [hidden, req.user.id, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Avis non trouvé' });
+    }
+
+    const { previous_hidden_at: previousHiddenAt, ...review } = result.rows[0];
+
+    await recordAudit(pool, req, {
+      action: 'reviews.moderate',
+      targetType: 'reviews',
+      targetId: review.id,
+      before: { hidden_at: previousHiddenAt },
+      after: { hidden_at: review.hidden_at },
+    });
+
+    console.log(`✅ Review ${id} ${hidden ? 'hidden' : 'visible'}`);
+    res.json(review);
+  } catch (error) {
+    console.error('Error PATCH /admin/reviews/:id:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la modération' });
+  }
+});
+
+/**
+ * Analytics range of a request
+ * Query params: ?from=2026-10-18, ?to=2026-10-19 (dates or ISO date-times, default the last 7 days),
+ * ?bucket=hour|day|week, ?tz=Europe/Paris, ?dayStartHour=6 (when local "days" begin)
+ * Answers 400 and returns null when invalid
+ */
+async function analyticsRange(req, res) {
+  const parsed = parseRange(req.query);
+  const resolved = parsed.error ? parsed : await resolveRange(pool, parsed.range);
+
+  if (resolved.error) {
+    res.status(400).json({ error: resolved.error });
+    return null;
+  }
+  return resolved.range;
+}
+
+/**
+ * GET /admin/analytics/orders
+ * Order volume per bucket (orders, drinks, cancellations), empty buckets included
+ * Query params: see analyticsRange
+ */
+router.get('/analytics/orders', async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) {
+      return;
+    }
+
+    res.json({ range, timeline: await getOrderTimeline(pool, range) });
+  } catch (error) {
+    console.error('Error GET /admin/analytics/orders:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
+/**
+ * GET /admin/analytics/cocktails
+ * Orders, drinks and cancelled drinks per cocktail
+ * Query params: see analyticsRange
+ */
+router.get('/analytics/cocktails', async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) {
+      return;
+    }
+
+    res.json({ range, cocktails: await getCocktailBreakdown(pool, range) });
+  } catch (error) {
+    console.error('Error GET /admin/analytics/cocktails:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
+/**
+ * GET /admin/analytics/users
+ * Orders, drinks and cancellations per user
+ * Query params: see analyticsRange
+ */
+router.get('/analytics/users', async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) {
+      return;
+    }
+
+    res.json({ range, users: await getUserBreakdown(pool, range) });
+  } catch (error) {
+    console.error('Error GET /admin/analytics/users:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
+/**
+ * GET /admin/analytics/summary
+ * Totals, cancellation rate, average preparation and lead times
+ * Query params: see analyticsRange
+ */
+router.get('/analytics/summary', async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) {
+      return;
+    }
+
+    res.json({ range, summary: await getSummary(pool, range) });
+  } catch (error) {
+    console.error('Error GET /admin/analytics/summary:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
+/**
+ * GET /admin/analytics/peak-hours
+ * Orders and drinks by local hour of day, busiest first
+ * Query params: see analyticsRange
+ */
+router.get('/analytics/peak-hours', async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) {
+      return;
+    }
+
+    res.json({ range, hours: await getPeakHours(pool, range) });
+  } catch (error) {
+    console.error('Error GET /admin/analytics/peak-hours:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
+/**
+ * GET /admin/catalog
+ * Export the menu catalog (ingredients with stock, tags, categories, cocktails with recipes)
+ * Query params: ?format=json|csv, ?file=ingredients|cocktails|recipes (csv only)
+ */
+router.get('/catalog', async (req, res) => {
+  try {
+    const { format = 'json', file = 'cocktails' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format doit être json ou csv' });
+    }
+
+    if (format === 'csv' && !Object.keys(CSV_FILES).includes(file)) {
+      return res.status(400).json({ error: `file doit être parmi : ${Object.keys(CSV_FILES).join(', ')}` });
+    }
+
+    const catalog = await exportCatalog(pool);
+    const date = catalog.exported_at.slice(0, 10);
+
+    if (format === 'csv') {
+      res.attachment(`${file}-${date}.csv`);
+      res.type('text/csv');
+      return res.send(catalogToCsv(catalog, file));
+    }
+
+    res.attachment(`catalog-${date}.json`);
+    res.json(catalog);
+  } catch (error) {
+    console.error('Error GET /admin/catalog:', error.message);
+    res.status(500).json({ error: "Erreur lors de l'export du catalogue" });
+  }
+});
+
+/**
+ * POST /admin/catalog/import
+ * Import a catalog in one transaction: any invalid row rolls back the whole batch
+ * Query params: ?mode=merge|replace, ?dryRun=true (preview the changes without applying them)
+ * Body: a catalog document as exported, or { csv: { ingredients?, cocktails?, recipes? } } (file contents)
+ * merge keeps what the file doesn't mention; replace archives cocktails and removes
+ * tags, categories and ingredients missing from the sections it contains
+ */
+router.post('/catalog/import', async (req, res) => {
+  const { mode = 'merge' } = req.query;
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode doit être parmi : ${IMPORT_MODES.join(', ')}` });
+  }
+
+  let catalog = req.body;
+  if (req.body?.csv !== undefined) {
+    const converted = catalogFromCsv(req.body.csv || {});
+    if (converted.error) {
+      return res.status(400).json({ error: `Catalogue invalide : ${converted.error}` });
+    }
+    catalog = converted.catalog;
+  }
+
+  const invalid = validateCatalog(catalog);
+  if (invalid) {
+    return res.status(400).json({ error: `Catalogue invalide : ${invalid}` });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { changes, error } = await importCatalog(client, catalog, { mode, userId: req.user.id });
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Catalogue invalide : ${error}` });
+    }
+
+    if (dryRun) {
+      skipAudit(req);
+    } else {
+      await recordAudit(client, req, {
+        action: 'catalog.import',
+        targetType: 'catalog',
+        after: { mode, changes },
+      });
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+    if (!dryRun) {
+      console.log(`✅ Catalog imported (${mode}) by ${req.user.username}`);
+    }
+    res.json({ dryRun, mode, changes });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error POST /admin/catalog/import:', error.message);
+    res.status(500).json({ error: "Erreur lors de l'import du catalogue" });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /admin/audit
+ * Audit log of admin writes, latest first
+ * Query params: ?actorId, ?action (exact, or a prefix ending with "*": users.*), ?targetType, ?targetId,
+ * ?from, ?to (ISO dates), ?page=1, ?limit=50 (200 max)
+ * Returns: { entries, page, limit, total }
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await listAuditEntries(pool, filters));
+  } catch (error) {
+    console.error('Error GET /admin/audit:', error.message);
+    res.status(500).json({ error: "Erreur lors de la récupération du journal d'audit" });
+  }
+});
+
 export default router;
@@ -0,0 +1,156 @@
+// Bar session routes (open/close the bar for an event)
+import { Router } from 'express';
+import pool from '../db/pool.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getCurrentSession, closeExpiredSessions } from '../services/barSession.js';
+import { recordAudit } from '../services/audit.js';
+import { isIsoDate } from '../services/dates.js';
+
+const router = Router();
+
+/**
+ * GET /bar/status
+ * Whether the bar is open, with the current session (public)
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const session = await getCurrentSession(pool);
+
+    res.json({
+      open: session !== null,
+      session: session && {
+        id: session.id,
+        name: session.name,
+        opened_at: session.opened_at,
+        closes_at: session.closes_at,
+        menu: session.menu
+      }
+    });
+  } catch (error) {
+    console.error('Error GET /bar/status:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la récupération du statut du bar' });
+  }
+});
+
+/**
+ * GET /bar/sessions
+ * List bar sessions with their order counts (admin only)
+ */
+router.get('/sessions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        s.*,
+        opener.username as opened_by_name,
+        COUNT(o.id) as order_count
+      FROM bar_sessions s
+      LEFT JOIN users opener ON s.opened_by = opener.id
+      LEFT JOIN orders o ON o.session_id = s.id
+      GROUP BY s.id, opener.username
+      ORDER BY s.opened_at DESC
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error GET /bar/sessions:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la récupération des sessions' });
+  }
+});
+
+/**
+ * POST /bar/open
+ * Open the bar (admin only)
+ * Body: { name?: string, closesAt?: ISO date, menu?: string[] (cocktail ids) }
+ */
+router.post('/open', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, closesAt, menu } = req.body;
+
+    if (closesAt !== undefined && closesAt !== null) {
+      if (!isIsoDate(closesAt) || new Date(closesAt) <= new Date()) {
+        return res.status(400).json({ error: 'closesAt doit être une date et heure ISO future' });
+      }
+    }
+
+    if (menu !== undefined && menu !== null) {
+      if (!Array.isArray(menu) || menu.length === 0 || !menu.every((id) => typeof id === 'string')) {
+        return res.status(400).json({ error: 'menu doit être un tableau non vide d\'identifiants de cocktails' });
+      }
+
+      const known = await pool.query('SELECT id FROM cocktails WHERE id = ANY($1) AND archived_at IS NULL', [menu]);
+      const knownIds = known.rows.map((row) => row.id);
+      const unknown = menu.filter((id) => !knownIds.includes(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Cocktail(s) inconnu(s): ${unknown.join(', ')}` });
+      }
+    }
+
+    await closeExpiredSessions(pool);
+
+    const current = await getCurrentSession(pool);
+    if (current) {
+      return res.status(409).json({ error: 'Le bar est déjà ouvert', session: current });
+    }
+
+    // closes_at has no time zone: the cast keeps the instant when closesAt carries an offset
+    const result = await pool.query(`
+      INSERT INTO bar_sessions (name, closes_at, menu, opened_by)
+      VALUES ($1, $2::timestamptz, $3, $4)
+      RETURNING *
+    `, [name || null, closesAt || null, menu ? JSON.stringify([...new Set(menu)]) : null, req.user.id]);
+
+    await recordAudit(pool, req, {
+      action: 'bar.open',
+      targetType: 'bar_sessions',
+      targetId: result.rows[0].id,
+      after: result.rows[0],
+    });
+
+    console.log(`✅ Bar opened${name ? `: ${name}` : ''}`);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Le bar est déjà ouvert' });
+    }
+    console.error('Error POST /bar/open:', error.message);
+    res.status(500).json({ error: 'Erreur lors de l\'ouverture du bar' });
+  }
+});
+
+/**
+ * POST /bar/close
+ * Close the bar (admin only)
+ */
+router.post('/close', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await closeExpiredSessions(pool);
+
+    const result = await pool.query(`
+      UPDATE bar_sessions
+      SET closed_at = CURRENT_TIMESTAMP, closed_by = $1
+      WHERE closed_at IS NULL
+      RETURNING *
+    `, [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Le bar est déjà fermé' });
+    }
+
+    const session = result.rows[0];
+    await recordAudit(pool, req, {
+      action: 'bar.close',
+      targetType: 'bar_sessions',
+      targetId: session.id,
+      before: { closed_at: null, closed_by: null },
+      after: { closed_at: session.closed_at, closed_by: session.closed_by },
+    });
+
+    console.log('✅ Bar closed');
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error POST /bar/close:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la fermeture du bar' });
+  }
+});
+
+export default router;
@@ -0,0 +1,171 @@
+// Category routes (menu sections, one per cocktail)
+import { Router } from 'express';
+import pool from '../db/pool.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { slugify } from '../services/taxonomy.js';
+import { recordAudit, changedFields } from '../services/audit.js';
+
+const router = Router();
+
+/**
+ * GET /categories
+ * List categories in menu order with their cocktail counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        cat.slug, cat.name, cat.position, cat.created_at,
+        COUNT(c.id)::int as cocktail_count
+      FROM categories cat
+      LEFT JOIN cocktails c ON c.category = cat.slug AND c.archived_at IS NULL
+      GROUP BY cat.slug
+      ORDER BY cat.position ASC, cat.name ASC
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error GET /categories:', error.message);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+/**
+ * POST /categories
+ * Create a category (admin only)
+ * Body: { name: string, slug?: string, position?: number }
+ */
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, position = 0 } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    if (!Number.isInteger(position)) {
+      return res.status(400).json({ error: 'position must be an integer' });
+    }
+
+    const slug = req.body.slug || slugify(name);
+    if (!slug || slug !== slugify(slug)) {
+      return res.status(400).json({ error: 'slug must be lowercase kebab-case' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO categories (slug, name, position)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [slug, name.trim(), position]);
+
+    await recordAudit(pool, req, {
+      action: 'categories.create',
+      targetType: 'categories',
+      targetId: slug,
+      after: result.rows[0],
+    });
+
+    console.log(`✅ Created category: ${slug}`);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Category already exists' });
+    }
+    console.error('Error POST /categories:', error.message);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+/**
+ * PATCH /categories/:slug
+ * Update a category (admin only), cocktails follow a slug change
+ * Body: { name?: string, slug?: string, position?: number }
+ */
+router.patch('/:slug', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { name, slug: newSlug, position } = req.body;
+
+    if (name === undefined && newSlug === undefined && position === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+
+    if (newSlug !== undefined && (!newSlug || newSlug !== slugify(newSlug))) {
+      return res.status(400).json({ error: 'slug must be lowercase kebab-case' });
+    }
+
+    if (position !== undefined && !Number.isInteger(position)) {
+      return res.status(400).json({ error: 'position must be an integer' });
+    }
+
+    // cocktails.category follows through ON UPDATE CASCADE
+    const result = await pool.query(`
+      UPDATE categories c
+      SET name = COALESCE($1, c.name), slug = COALESCE($2, c.slug), position = COALESCE($3, c.position)
+      FROM (SELECT * FROM categories WHERE slug = $4 FOR UPDATE) previous
+      WHERE c.slug = previous.slug
+      RETURNING c.*, previous.name as previous_name, previous.slug as previous_slug,
+        previous.position as previous_position
+    `, [name ? name.trim() : null, newSlug || null, position ?? null, slug]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { previous_name, previous_slug, previous_position, ...category } = result.rows[0];
+
+    await recordAudit(pool, req, {
+      action: 'categories.update',
+      targetType: 'categories',
+      targetId: slug,
+      ...changedFields(
+        { name: previous_name, slug: previous_slug, position: previous_position },
+        { name: category.name, slug: category.slug, position: category.position }
+      ),
+    });
+
+    console.log(`✅ Updated category: ${category.slug}`);
+    res.json(category);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Category already exists' });
+    }
+    console.error('Error PATCH /categories/:slug:', error.message);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+/**
+ * DELETE /categories/:slug
+ * Delete a category, its cocktails become uncategorized (admin only)
+ */
+router.delete('/:slug', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const result = await pool.query('DELETE FROM categories WHERE slug = $1 RETURNING *', [slug]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await recordAudit(pool, req, {
+      action: 'categories.delete',
+      targetType: 'categories',
+      targetId: slug,
+      before: result.rows[0],
+    });
+
+    console.log(`✅ Deleted category: ${slug}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error DELETE /categories/:slug:', error.message);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+export default router;
@@ -1,63 +1,399 @@
 // Cocktails routes
 import { Router } from 'express';
+import multer from 'multer';
 import pool from '../db/pool.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken, requireAdmin, optionalAuth } from '../middleware/auth.js';
+import {
+  validateIngredientLines,
+  validateRecipeFields,
+  saveRecipeIngredients,
+  getRecipeIngredients,
+} from '../services/recipe.js';
+import { slugify, validateTaxonomy } from '../services/taxonomy.js';
+import { withAlcohol } from '../services/alcohol.js';
+import { recommendCocktails } from '../services/recommendations.js';
+import {
+  DEFAULT_MENU_TITLE, MAX_TITLE_LENGTH, getPrintableMenu, renderMenuHtml, writeMenuPdf
+} from '../services/printMenu.js';
+import {
+  MAX_IMAGE_BYTES,
+  IMAGE_MIME_TYPES,
+  storeCocktailImage,
+  removeStoredImages,
+} from '../services/images.js';
+import { recordAudit, changedFields } from '../services/audit.js';
 
 const router = Router();
 
+// Placeholder that anonymized orders point to once their cocktail is deleted (see schema.js)
+const DELETED_COCKTAIL_ID = '_deleted';
+
+// Single "image" file kept in memory, it is re-encoded before hitting the disk
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new Error('image must be a JPEG, PNG or WebP file'));
+    }
+    cb(null, true);
+  },
+}).single('image');
+
+/**
+ * Parse the multipart upload, answering upload errors (size, type) as 4xx
+ */
+function receiveImage(req, res, next) {
+  imageUpload(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `image must be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB` });
+    }
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+}
+
+// Tag and category details, for SELECTs aliasing cocktails as "c"
+const TAGS_SQL = `
+  COALESCE((
+    SELECT json_agg(json_build_object('slug', t.slug, 'name', t.name) ORDER BY t.name)
+    FROM tags t
+    WHERE c.tags @> jsonb_build_array(t.slug)
+  ), '[]'::json)`;
+const CATEGORY_SQL = `
+  (SELECT json_build_object('slug', cat.slug, 'name', cat.name)
+   FROM categories cat WHERE cat.slug = c.category)`;
+
+// Average rating per cocktail, to LEFT JOIN as "r"
+const RATINGS_SQL = `
+  SELECT cocktail_id, ROUND(AVG(rating), 1)::float as rating_avg, COUNT(*)::int as rating_count
+  FROM cocktail_reviews
+  GROUP BY cocktail_id`;
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Fetch a cocktail with its taxonomy and recipe lines, or null
+ */
+async function fetchCocktail(db, id) {
+  const result = await db.query(`
+    SELECT
+      c.*, ${TAGS_SQL} as tag_details, ${CATEGORY_SQL} as category_details,
+      r.rating_avg, COALESCE(r.rating_count, 0) as rating_count
+    FROM cocktails c
+    LEFT JOIN (${RATINGS_SQL}) r ON r.cocktail_id = c.id
+    WHERE c.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { tag_details, category_details, ...row } = result.rows[0];
+  const [cocktail] = await withAlcohol(db, [row]);
+  const modifiers = await db.query(`
+    SELECT * FROM modifiers
+    WHERE cocktail_id IS NULL OR cocktail_id = $1
+    ORDER BY group_name ASC NULLS LAST, name ASC
+  `, [id]);
+
+  return {
+    ...cocktail,
+    tags: tag_details,
+    category: category_details,
+    recipe: await getRecipeIngredients(db, id),
+    modifiers: modifiers.rows
+  };
+}
+
+/**
+ * Cocktail row and recipe lines as compared in audit entries
+ */
+async function auditSnapshot(db, id) {
+  const result = await db.query('SELECT to_jsonb(c) as row FROM cocktails c WHERE c.id = $1', [id]);
+  return { ...result.rows[0].row, recipe: await getRecipeIngredients(db, id) };
+}
+
+/**
+ * Split a comma-separated query parameter into trimmed values
+ */
+function listParam(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return String(value).split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+const SORTS = {
+  name: 'cwa.name ASC',
+  popular: 'popularity DESC, cwa.name ASC',
+  recent: 'cwa.created_at DESC, cwa.name ASC',
+  rating: 'r.rating_avg DESC NULLS LAST, rating_count DESC, cwa.name ASC',
+};
+
 /**
  * GET /cocktails
- * List all cocktails with computed availability based on ingredients
- * Query params: ?available=true|false (filters by can_be_made)
+ * List all cocktails with computed availability based on ingredients,
+ * and approximate ABV / standard drinks from their recipes
+ * Query params (all combinable):
+ *   ?available=true|false   filter by can_be_made
+ *   ?q=text                 accent- and case-insensitive name search
+ *   ?ingredients=a,b        must contain every listed ingredient (by name)
+ *   ?exclude=a,b            must contain none of the listed ingredients
+ *   ?alcohol_free=true      alcohol-free cocktails only
+ *   ?tags=a,b               must carry every listed tag
+ *   ?category=slug          in the given category
+ *   ?spirit=rum,gin         spirit base is one of the listed ones
+ *   ?sort=name|popular|recent|rating
+ *   ?archived=true          archived cocktails instead of the menu (admin only)
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { available } = req.query;
+    const { available, q, alcohol_free, sort = 'name' } = req.query;
 
-    // Use the view that computes availability from ingredients
-    let query = `
-      SELECT
-        id, name, image,
-        ingredients_with_stock as ingredients,
-        can_be_made as available,
-        created_at, updated_at
-      FROM cocktails_with_availability
-    `;
+    if (!SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+    }
+
+    const archived = req.query.archived === 'true';
+    if (archived && req.user?.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const conditions = [
+      archived
+        ? `c.archived_at IS NOT NULL AND c.id <> '${DELETED_COCKTAIL_ID}'`
+        : 'c.archived_at IS NULL'
+    ];
     const params = [];
+    let paramIndex = 1;
 
     if (available !== undefined) {
-      query += ' WHERE can_be_made = $1';
+      conditions.push(`cwa.can_be_made = $${paramIndex++}`);
       params.push(available === 'true');
     }
 
-    query += ' ORDER BY name ASC';
+    if (q) {
+      conditions.push(`position(normalize_text($${paramIndex++}) in normalize_text(cwa.name)) > 0`);
+      params.push(q);
+    }
+
+    for (const ingredient of listParam(req.query.ingredients)) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(c.ingredients) ing
+        WHERE normalize_text(ing) = normalize_text($${paramIndex++})
+      )`);
+      params.push(ingredient);
+    }
+
+    const excluded = listParam(req.query.exclude);
+    if (excluded.length > 0) {
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(c.ingredients) ing
+        WHERE normalize_text(ing) IN (SELECT normalize_text(x) FROM unnest($${paramIndex++}::text[]) x)
+      )`);
+      params.push(excluded);
+    }
+
+    if (alcohol_free !== undefined) {
+      conditions.push(`c.alcohol_free = $${paramIndex++}`);
+      params.push(alcohol_free === 'true');
+    }
+
+    const tags = listParam(req.query.tags);
+    if (tags.length > 0) {
+      conditions.push(`c.tags @> $${paramIndex++}::jsonb`);
+      params.push(JSON.stringify(tags));
+    }
+
+    if (req.query.category) {
+      conditions.push(`c.category = $${paramIndex++}`);
+      params.push(req.query.category);
+    }
+
+    const spirits = listParam(req.query.spirit);
+    if (spirits.length > 0) {
+      conditions.push(`c.spirit_base = ANY($${paramIndex++})`);
+      params.push(spirits);
+    }
+
+    // Use the view that computes availability from ingredients
+    let query = `
+      SELECT
+        cwa.id, cwa.name, cwa.image, c.thumbnail,
+        cwa.ingredients_with_stock as ingredients,
+        cwa.can_be_made as available,
+        c.alcohol_free,
+        c.spirit_base,
+        ${TAGS_SQL} as tags,
+        ${CATEGORY_SQL} as category,
+        COALESCE(p.drink_count, 0)::int as popularity,
+        r.rating_avg,
+        COALESCE(r.rating_count, 0) as rating_count,
+        cwa.created_at, cwa.updated_at, c.archived_at
+      FROM cocktails_with_availability cwa
+      JOIN cocktails c ON c.id = cwa.id
+      LEFT JOIN (
+        SELECT cocktail_id, SUM(quantity) as drink_count
+        FROM order_items
+        GROUP BY cocktail_id
+      ) p ON p.cocktail_id = cwa.id
+      LEFT JOIN (${RATINGS_SQL}) r ON r.cocktail_id = cwa.id
+    `;
+
+    query += ` WHERE ${conditions.join(' AND ')}`;
+    query += ` ORDER BY ${SORTS[sort]}`;
 
     const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await withAlcohol(pool, result.rows));
   } catch (error) {
     console.error('Error GET /cocktails:', error.message);
     res.status(500).json({ error: 'Failed to fetch cocktails' });
   }
 });
 
+/**
+ * GET /cocktails/recommended
+ * Cocktails to try next, each with a reason ("Because you liked Mojito")
+ * Logged-in users: makeable cocktails they haven't ordered, close to their favorites,
+ * good ratings and past orders. Anonymous users: the most popular makeable cocktails
+ * Query params: ?limit=5 (max 20)
+ */
+router.get('/recommended', optionalAuth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '5');
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 20' });
+    }
+
+    res.json(await recommendCocktails(pool, req.user?.id || null, limit));
+  } catch (error) {
+    console.error('Error GET /cocktails/recommended:', error.message);
+    res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+});
+
+/**
+ * GET /cocktails/menu
+ * Print-ready menu of the cocktails available right now, grouped by category
+ * Query params: ?format=html|pdf (default html)
+ * Admin only: ?title=Soirée d'été, ?cocktails=mojito,gin-tonic (subset to print)
+ */
+router.get('/menu', optionalAuth, async (req, res) => {
+  try {
+    const { format = 'html' } = req.query;
+    const cocktailIds = listParam(req.query.cocktails);
+    const title = req.query.title === undefined ? DEFAULT_MENU_TITLE : String(req.query.title).trim();
+
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be html or pdf' });
+    }
+
+    if ((req.query.title !== undefined || cocktailIds.length > 0) && req.user?.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required to customize the menu' });
+    }
+
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ error: `title must be 1 to ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    const menu = await getPrintableMenu(pool, cocktailIds.length > 0 ? cocktailIds : null);
+    if (menu.missing.length > 0) {
+      return res.status(400).json({ error: `Not available right now: ${menu.missing.join(', ')}` });
+    }
+
+    if (format === 'pdf') {
+      res.type('application/pdf');
+      res.setHeader('Content-Disposition', 'inline; filename="menu.pdf"');
+      return writeMenuPdf(menu, title, res);
+    }
+
+    res.type('html').send(renderMenuHtml(menu, title));
+  } catch (error) {
+    console.error('Error GET /cocktails/menu:', error.message);
+    res.status(500).json({ error: 'Failed to generate menu' });
+  }
+});
+
+/**
+ * GET /cocktails/almost-makeable
+ * Cocktails that can't be made yet, ranked by how many ingredients are missing,
+ * plus the single ingredients whose restock would unlock the most cocktails (admin only)
+ * Query params: ?maxMissing=2 (default 2)
+ */
+router.get('/almost-makeable', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const maxMissing = parseInt(req.query.maxMissing || '2');
+
+    if (!Number.isInteger(maxMissing) || maxMissing < 1) {
+      return res.status(400).json({ error: 'maxMissing must be a positive integer' });
+    }
+
+    const result = await pool.query(`
+      WITH missing AS (
+        SELECT cwa.id, cwa.name, cwa.image, ing as ingredient, ai.id as ingredient_id
+        FROM cocktails_with_availability cwa
+        JOIN cocktails c ON c.id = cwa.id
+        CROSS JOIN LATERAL jsonb_array_elements_text(c.ingredients) ing
+        LEFT JOIN available_ingredients ai ON LOWER(ai.name) = LOWER(ing)
+        WHERE cwa.can_be_made = false
+          AND c.archived_at IS NULL
+          AND ai.in_stock IS NOT TRUE
+      )
+      SELECT
+        id, name, image,
+        COUNT(*)::int as missing_count,
+        json_agg(json_build_object('name', ingredient, 'ingredient_id', ingredient_id)
+          ORDER BY ingredient) as missing
+      FROM missing
+      GROUP BY id, name, image
+      HAVING COUNT(*) <= $1
+      ORDER BY missing_count ASC, name ASC
+    `, [maxMissing]);
+
+    // Cocktails one ingredient away, grouped by that ingredient
+    const unlocks = new Map();
+    for (const cocktail of result.rows.filter((c) => c.missing_count === 1)) {
+      const [ingredient] = cocktail.missing;
+      const key = ingredient.name.toLowerCase();
+      if (!unlocks.has(key)) {
+        unlocks.set(key, { ...ingredient, unlocks: 0, cocktails: [] });
+      }
+      const entry = unlocks.get(key);
+      entry.unlocks++;
+      entry.cocktails.push({ id: cocktail.id, name: cocktail.name });
+    }
+
+    res.json({
+      cocktails: result.rows,
+      restockSuggestions: [...unlocks.values()]
+        .sort((a, b) => b.unlocks - a.unlocks || a.name.localeCompare(b.name))
+    });
+  } catch (error) {
+    console.error('Error GET /cocktails/almost-makeable:', error.message);
+    res.status(500).json({ error: 'Failed to fetch almost makeable cocktails' });
+  }
+});
+
 /**
  * GET /cocktails/:id
- * Get a single cocktail by ID
+ * Get a single cocktail by ID, with its full recipe
+ * Archived cocktails still resolve (archived_at is set) so past orders can link to them
  */
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await pool.query(
-      'SELECT * FROM cocktails WHERE id = $1',
-      [id]
-    );
+    const cocktail = await fetchCocktail(pool, id);
 
-    if (result.rows.length === 0) {
+    if (!cocktail) {
       return res.status(404).json({ error: 'Cocktail not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json(cocktail);
   } catch (error) {
     console.error('Error GET /cocktails/:id:', error.message);
     res.status(500).json({ error: 'Failed to fetch cocktail' });
@@ -66,48 +402,105 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /cocktails
- * Create a new cocktail (admin only)
- * Body: { id?: string, name: string, image?: string, ingredients: array }
+ * Create a new cocktail with its recipe (admin only)
+ * Body: {
+ *   id?: string, name: string, image?: string, alcohol_free?: boolean,
+ *   ingredients: [{ ingredientId: number, amount: number, unit: 'ml'|'cl'|'pieces' }],
+ *   steps?: string[], method?: 'shaken'|'stirred'|'built', glass?: string,
+ *   garnish?: string, description?: string, spirit_base?: string,
+ *   tags?: string[] (tag slugs), category?: string (category slug)
+ * }
  */
 router.post('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { id, name, image, ingredients } = req.body;
+    const {
+      id, name, image, ingredients, alcohol_free = false,
+      description = null, method = null, glass = null, garnish = null, steps = [],
+      spirit_base = null, tags = [], category = null
+    } = req.body;
 
-    if (!name || !ingredients || !Array.isArray(ingredients)) {
-      return res.status(400).json({
-        error: 'name and ingredients (array) are required'
-      });
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    if (typeof alcohol_free !== 'boolean') {
+      return res.status(400).json({ error: 'alcohol_free must be a boolean' });
+    }
+
+    const invalid = validateIngredientLines(ingredients)
+      || validateRecipeFields({ description, method, glass, garnish, steps, spirit_base, tags });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (id !== undefined && (typeof id !== 'string' || !id || id !== slugify(id))) {
+      return res.status(400).json({ error: 'id must be lowercase kebab-case' });
     }
 
     // Generate ID from name if not provided (kebab-case)
-    const cocktailId = id || name
-      .toLowerCase()
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '') // Remove accents
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
-
-    // Check if cocktail already exists
-    const existing = await pool.query(
-      'SELECT id FROM cocktails WHERE id = $1',
-      [cocktailId]
-    );
+    const cocktailId = id || slugify(name);
+    if (!cocktailId) {
+      return res.status(400).json({ error: 'name must contain letters or digits to build an id' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Check if cocktail already exists
+      const existing = await client.query(
+        'SELECT id FROM cocktails WHERE id = $1',
+        [cocktailId]
+      );
+
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'A cocktail with this ID already exists'
+        });
+      }
+
+      const invalidTaxonomy = await validateTaxonomy(client, { tags, category });
+      if (invalidTaxonomy) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: invalidTaxonomy });
+      }
+
+      await client.query(
+        `INSERT INTO cocktails
+           (id, name, image, ingredients, available, alcohol_free,
+            description, method, glass, garnish, steps, spirit_base, tags, category)
+         VALUES ($1, $2, $3, '[]', true, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          cocktailId, name, image || null, alcohol_free,
+          description, method, glass, garnish, JSON.stringify(steps), spirit_base,
+          JSON.stringify([...new Set(tags)]), category
+        ]
+      );
 
-    if (existing.rows.length > 0) {
-      return res.status(409).json({
-        error: 'A cocktail with this ID already exists'
+      const unknown = await saveRecipeIngredients(client, cocktailId, ingredients);
+      if (unknown.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `Unknown ingredient id(s): ${unknown.join(', ')}` });
+      }
+
+      await recordAudit(client, req, {
+        action: 'cocktails.create',
+        targetType: 'cocktails',
+        targetId: cocktailId,
+        after: await auditSnapshot(client, cocktailId),
       });
-    }
 
-    const result = await pool.query(
-      `INSERT INTO cocktails (id, name, image, ingredients, available)
-       VALUES ($1, $2, $3, $4, true)
-       RETURNING *`,
-      [cocktailId, name, image || null, JSON.stringify(ingredients)]
-    );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
 
     console.log(`✅ Created cocktail: ${cocktailId}`);
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(await fetchCocktail(pool, cocktailId));
   } catch (error) {
     console.error('Error POST /cocktails:', error.message);
     res.status(500).json({ error: 'Failed to create cocktail' });
@@ -116,13 +509,36 @@ router.post('/', authenticateToken, requireAdmin, async (req, res) => {
 
 /**
  * PATCH /cocktails/:id
- * Update cocktail (availability, name, ingredients) (admin only)
- * Body: { available?: boolean, name?: string, ingredients?: array }
+ * Update cocktail and/or its recipe (admin only)
+ * Body: any of { available, name, image, alcohol_free, ingredients, steps, method, glass, garnish,
+ *   description, spirit_base, tags, category }
+ * (same formats as POST /cocktails; ingredients replaces every recipe line)
  */
 router.patch('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { available, name, ingredients } = req.body;
+    const {
+      available, name, image, ingredients, alcohol_free,
+      description, method, glass, garnish, steps, spirit_base, tags, category
+    } = req.body;
+
+    if (id === DELETED_COCKTAIL_ID) {
+      return res.status(400).json({ error: 'This cocktail cannot be modified' });
+    }
+
+    if (available !== undefined && typeof available !== 'boolean') {
+      return res.status(400).json({ error: 'available must be a boolean' });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+
+    const invalid = (ingredients !== undefined && validateIngredientLines(ingredients))
+      || validateRecipeFields({ description, method, glass, garnish, steps, spirit_base, tags });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
 
     // Build dynamic update query
     const updates = [];
@@ -139,36 +555,557 @@ router.patch('/:id', authenticateToken, requireAdmin, async (req, res) => {
       params.push(name);
     }
 
-    if (ingredients !== undefined) {
-      updates.push(`ingredients = $${paramIndex++}`);
-      params.push(JSON.stringify(ingredients));
+    if (image !== undefined) {
+      // A new image URL replaces any uploaded image and its thumbnail
+      updates.push(`image = $${paramIndex++}`, 'thumbnail = NULL');
+      params.push(image);
+    }
+
+    if (alcohol_free !== undefined) {
+      if (typeof alcohol_free !== 'boolean') {
+        return res.status(400).json({ error: 'alcohol_free must be a boolean' });
+      }
+      updates.push(`alcohol_free = $${paramIndex++}`);
+      params.push(alcohol_free);
+    }
+
+    for (const [column, value] of Object.entries({ description, method, glass, garnish, spirit_base, category })) {
+      if (value !== undefined) {
+        updates.push(`${column} = $${paramIndex++}`);
+        params.push(value);
+      }
+    }
+
+    if (steps !== undefined) {
+      updates.push(`steps = $${paramIndex++}`);
+      params.push(JSON.stringify(steps));
     }
 
-    if (updates.length === 0) {
+    if (tags !== undefined) {
+      updates.push(`tags = $${paramIndex++}`);
+      params.push(JSON.stringify([...new Set(tags)]));
+    }
+
+    if (updates.length === 0 && ingredients === undefined) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    params.push(id);
+    const client = await pool.connect();
+    let previousImage;
+    try {
+      await client.query('BEGIN');
 
-    const query = `
-      UPDATE cocktails
-      SET ${updates.join(', ')}
-      WHERE id = $${paramIndex}
-      RETURNING *
-    `;
+      const existing = await client.query(
+        'SELECT id, image, thumbnail FROM cocktails WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cocktail not found' });
+      }
+      previousImage = existing.rows[0];
+      const before = await auditSnapshot(client, id);
 
-    const result = await pool.query(query, params);
+      const invalidTaxonomy = await validateTaxonomy(client, { tags, category });
+      if (invalidTaxonomy) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: invalidTaxonomy });
+      }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Cocktail not found' });
+      if (updates.length > 0) {
+        params.push(id);
+        await client.query(`
+          UPDATE cocktails
+          SET ${updates.join(', ')}
+          WHERE id = $${paramIndex}
+        `, params);
+      }
+
+      if (ingredients !== undefined) {
+        const unknown = await saveRecipeIngredients(client, id, ingredients);
+        if (unknown.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: `Unknown ingredient id(s): ${unknown.join(', ')}` });
+        }
+      }
+
+      await recordAudit(client, req, {
+        action: 'cocktails.update',
+        targetType: 'cocktails',
+        targetId: id,
+        ...changedFields(before, await auditSnapshot(client, id)),
+      });
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (image !== undefined && image !== previousImage.image) {
+      await removeStoredImages(previousImage.image, previousImage.thumbnail);
     }
 
     console.log(`✅ Updated cocktail: ${id}`);
-    res.json(result.rows[0]);
+    res.json(await fetchCocktail(pool, id));
   } catch (error) {
     console.error('Error PATCH /cocktails/:id:', error.message);
     res.status(500).json({ error: 'Failed to update cocktail' });
   }
 });
 
+/**
+ * PUT /cocktails/:id/ingredients
+ * Replace the recipe ingredient lines (admin only)
+ * Body: { ingredients: [{ ingredientId: number, amount: number, unit: 'ml'|'cl'|'pieces' }] }
+ */
+router.put('/:id/ingredients', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ingredients } = req.body;
+
+    const invalid = validateIngredientLines(ingredients);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const cocktail = await client.query('SELECT id FROM cocktails WHERE id = $1 FOR UPDATE', [id]);
+      if (cocktail.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cocktail not found' });
+      }
+      const before = await getRecipeIngredients(client, id);
+
+      const unknown = await saveRecipeIngredients(client, id, ingredients);
+      if (unknown.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `Unknown ingredient id(s): ${unknown.join(', ')}` });
+      }
+
+      await recordAudit(client, req, {
+        action: 'cocktails.recipe',
+        targetType: 'cocktails',
+        targetId: id,
+        before: { recipe: before },
+        after: { recipe: await getRecipeIngredients(client, id) },
+      });
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    console.log(`✅ Updated recipe amounts: ${id}`);
+    res.json(await getRecipeIngredients(pool, id));
+  } catch (error) {
+    console.error('Error PUT /cocktails/:id/ingredients:', error.message);
+    res.status(500).json({ error: 'Failed to update cocktail ingredients' });
+  }
+});
+
+/**
+ * POST /cocktails/:id/archive
+ * Take a cocktail off the menu without losing it (admin only)
+ * Archived cocktails are hidden from the menu and can't be ordered,
+ * but past orders and stats keep resolving them
+ */
+router.post('/:id/archive', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === DELETED_COCKTAIL_ID) {
+      return res.status(400).json({ error: 'This cocktail cannot be modified' });
+    }
+
+    const result = await pool.query(`
+      UPDATE cocktails c
+      SET archived_at = COALESCE(c.archived_at, NOW())
+      FROM (SELECT id, archived_at FROM cocktails WHERE id = $1 FOR UPDATE) previous
+      WHERE c.id = previous.id
+      RETURNING c.id, c.archived_at, previous.archived_at as previous_archived_at
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cocktail not found' });
+    }
+
+    await recordAudit(pool, req, {
+      action: 'cocktails.archive',
+      targetType: 'cocktails',
+      targetId: id,
+      before: { archived_at: result.rows[0].previous_archived_at },
+      after: { archived_at: result.rows[0].archived_at },
+    });
+
+    console.log(`✅ Archived cocktail: ${id}`);
+    res.json(await fetchCocktail(pool, id));
+  } catch (error) {
+    console.error('Error POST /cocktails/:id/archive:', error.message);
+    res.status(500).json({ error: 'Failed to archive cocktail' });
+  }
+});
+
+/**
+ * POST /cocktails/:id/restore
+ * Put an archived cocktail back on the menu (admin only)
+ */
+router.post('/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === DELETED_COCKTAIL_ID) {
+      return res.status(400).json({ error: 'This cocktail cannot be modified' });
+    }
+
+    const result = await pool.query(`
+      UPDATE cocktails c
+      SET archived_at = NULL
+      FROM (SELECT id, archived_at FROM cocktails WHERE id = $1 FOR UPDATE) previous
+      WHERE c.id = previous.id
+      RETURNING c.id, previous.archived_at as previous_archived_at
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cocktail not found' });
+    }
+
+    await recordAudit(pool, req, {
+      action: 'cocktails.restore',
+      targetType: 'cocktails',
+      targetId: id,
+      before: { archived_at: result.rows[0].previous_archived_at },
+      after: { archived_at: null },
+    });
+
+    console.log(`✅ Restored cocktail: ${id}`);
+    res.json(await fetchCocktail(pool, id));
+  } catch (error) {
+    console.error('Error POST /cocktails/:id/restore:', error.message);
+    res.status(500).json({ error: 'Failed to restore cocktail' });
+  }
+});
+
+/**
+ * DELETE /cocktails/:id
+ * Permanently delete a cocktail (admin only)
+ * Refused with 409 while orders reference it, unless ?anonymize=true:
+ * those orders then point to a "deleted cocktail" placeholder so history and stats stay intact
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const anonymize = req.query.anonymize === 'true';
+
+    if (id === DELETED_COCKTAIL_ID) {
+      return res.status(400).json({ error: 'This cocktail cannot be deleted' });
+    }
+
+    const client = await pool.connect();
+    let anonymizedOrders = 0;
+    let cocktail;
+    try {
+      await client.query('BEGIN');
+
+      cocktail = await client.query('SELECT id, image, thumbnail FROM cocktails WHERE id = $1 FOR UPDATE', [id]);
+      if (cocktail.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cocktail not found' });
+      }
+
+      const references = await client.query(`
+        SELECT COUNT(DISTINCT o.id)::int as count
+        FROM orders o
+        LEFT JOIN order_items oi ON oi.order_id = o.id
+        WHERE o.cocktail_id = $1 OR oi.cocktail_id = $1
+      `, [id]);
+      anonymizedOrders = references.rows[0].count;
+
+      if (anonymizedOrders > 0 && !anonymize) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `Cocktail is referenced by ${anonymizedOrders} order(s); archive it or delete with ?anonymize=true`,
+          orderCount: anonymizedOrders
+        });
+      }
+
+      if (anonymizedOrders > 0) {
+        await client.query('UPDATE orders SET cocktail_id = $1 WHERE cocktail_id = $2', [DELETED_COCKTAIL_ID, id]);
+        await client.query('UPDATE order_items SET cocktail_id = $1 WHERE cocktail_id = $2', [DELETED_COCKTAIL_ID, id]);
+      }
+
+      // Drop it from favorites and bar menus, which reference cocktails by id without a foreign key
+      await client.query(`
+        UPDATE users SET favorites = favorites - $1::text
+        WHERE favorites ? $1
+      `, [id]);
+      await client.query(`
+        UPDATE bar_sessions SET menu = menu - $1::text
+        WHERE menu ? $1
+      `, [id]);
+
+      const before = await auditSnapshot(client, id);
+      await client.query('DELETE FROM cocktails WHERE id = $1', [id]);
+
+      await recordAudit(client, req, {
+        action: 'cocktails.delete',
+        targetType: 'cocktails',
+        targetId: id,
+        before,
+        after: { anonymized_orders: anonymizedOrders },
+      });
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await removeStoredImages(cocktail.rows[0].image, cocktail.rows[0].thumbnail);
+
+    console.log(`✅ Deleted cocktail: ${id}${anonymizedOrders > 0 ? ` (${anonymizedOrders} orders anonymized)` : ''}`);
+    res.json({ success: true, anonymizedOrders });
+  } catch (error) {
+    console.error('Error DELETE /cocktails/:id:', error.message);
+    res.status(500).json({ error: 'Failed to delete cocktail' });
+  }
+});
+
+/**
+ * POST /cocktails/:id/image
+ * Upload a cocktail photo (admin only)
+ * Body: multipart/form-data with an "image" file (JPEG, PNG or WebP, MAX_IMAGE_SIZE_MB max)
+ * Stores the image and a thumbnail under /uploads and removes the previous upload
+ */
+router.post('/:id/image', authenticateToken, requireAdmin, receiveImage, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'image file is required' });
+    }
+
+    const client = await pool.connect();
+    let previous;
+    let stored;
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        'SELECT image, thumbnail FROM cocktails WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cocktail not found' });
+      }
+      previous = existing.rows[0];
+
+      stored = await storeCocktailImage(id, req.file.buffer);
+      if (!stored) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'image must be a valid JPEG, PNG or WebP file' });
+      }
+
+      await client.query(
+        'UPDATE cocktails SET image = $1, thumbnail = $2 WHERE id = $3',
+        [stored.image, stored.thumbnail, id]
+      );
+
+      await recordAudit(client, req, {
+        action: 'cocktails.image',
+        targetType: 'cocktails',
+        targetId: id,
+        before: previous,
+        after: stored,
+      });
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (stored) {
+        await removeStoredImages(stored.image, stored.thumbnail);
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await removeStoredImages(previous.image, previous.thumbnail);
+
+    console.log(`✅ Uploaded image for cocktail: ${id}`);
+    res.json(await fetchCocktail(pool, id));
+  } catch (error) {
+    console.error('Error POST /cocktails/:id/image:', error.message);
+    res.status(500).json({ error: 'Failed to upload cocktail image' });
+  }
+});
+
+/**
+ * DELETE /cocktails/:id/image
+ * Remove a cocktail's image and thumbnail (admin only)
+ */
+router.delete('/:id/image', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      UPDATE cocktails c
+      SET image = NULL, thumbnail = NULL
+      FROM (SELECT id, image, thumbnail FROM cocktails WHERE id = $1 FOR UPDATE) previous
+      WHERE c.id = previous.id
+      RETURNING previous.image, previous.thumbnail
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Cocktail not found' });
+    }
+
+    await recordAudit(pool, req, {
+      action: 'cocktails.image',
+      targetType: 'cocktails',
+      targetId: id,
+      before: result.rows[0],
+      after: { image: null, thumbnail: null },
+    });
+
+    await removeStoredImages(result.rows[0].image, result.rows[0].thumbnail);
+
+    console.log(`✅ Removed image for cocktail: ${id}`);
+    res.json(await fetchCocktail(pool, id));
+  } catch (error) {
+    console.error('Error DELETE /cocktails/:id/image:', error.message);
+    res.status(500).json({ error: 'Failed to remove cocktail image' });
+  }
+});
+
+/**
+ * GET /cocktails/:id/reviews
+ * Ratings and comments for a cocktail, newest first
+ * Hidden comments are blanked for everyone but admins (their rating still counts)
+ */
+router.get('/:id/reviews', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isAdmin = req.user?.role === 'admin';
+
+    const cocktail = await pool.query('SELECT id FROM cocktails WHERE id = $1', [id]);
+    if (cocktail.rows.length === 0) {
+      return res.status(404).json({ error: 'Cocktail not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        r.id, r.user_id, u.username, r.rating,
+        CASE WHEN r.hidden_at IS NULL OR $2 THEN r.comment END as comment,
+        r.hidden_at IS NOT NULL as hidden,
+        r.created_at, r.updated_at
+      FROM cocktail_reviews r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.cocktail_id = $1
+      ORDER BY r.updated_at DESC
+    `, [id, isAdmin]);
+
+    const ratings = result.rows.map((review) => review.rating);
+    res.json({
+      rating_avg: ratings.length > 0
+        ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10
+        : null,
+      rating_count: ratings.length,
+      reviews: result.rows
+    });
+  } catch (error) {
+    console.error('Error GET /cocktails/:id/reviews:', error.message);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+/**
+ * PUT /cocktails/:id/reviews/me
+ * Rate a cocktail, or edit your rating (one per user and cocktail)
+ * Only users with a completed order for the cocktail can rate it
+ * Body: { rating: 1-5, comment?: string }
+ */
+router.put('/:id/reviews/me', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating, comment = null } = req.body;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'rating must be an integer between 1 and 5' });
+    }
+
+    if (comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+      return res.status(400).json({ error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const cocktail = await pool.query('SELECT id FROM cocktails WHERE id = $1', [id]);
+    if (cocktail.rows.length === 0) {
+      return res.status(404).json({ error: 'Cocktail not found' });
+    }
+
+    const served = await pool.query(`
+      SELECT 1
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      WHERE o.user_id = $1 AND oi.cocktail_id = $2 AND o.status = 'completed'
+      LIMIT 1
+    `, [req.user.id, id]);
+    if (served.rows.length === 0) {
+      return res.status(403).json({ error: 'Only guests who were served this cocktail can rate it' });
+    }
+
+    // Editing keeps a moderator's decision to hide the comment
+    const result = await pool.query(`
+      INSERT INTO cocktail_reviews (cocktail_id, user_id, rating, comment)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (cocktail_id, user_id) DO UPDATE
+      SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, updated_at = NOW()
+      RETURNING *, (xmax = 0) as created
+    `, [id, req.user.id, rating, comment?.trim() || null]);
+
+    const { created, ...review } = result.rows[0];
+
+    console.log(`✅ ${req.user.username} rated ${id}: ${rating}/5`);
+    res.status(created ? 201 : 200).json(review);
+  } catch (error) {
+    console.error('Error PUT /cocktails/:id/reviews/me:', error.message);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+/**
+ * DELETE /cocktails/:id/reviews/me
+ * Remove your rating of a cocktail
+ */
+router.delete('/:id/reviews/me', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      'DELETE FROM cocktail_reviews WHERE cocktail_id = $1 AND user_id = $2 RETURNING id',
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error DELETE /cocktails/:id/reviews/me:', error.message);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
 export default router;
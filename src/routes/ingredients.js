@@ -2,8 +2,11 @@
 import { Router } from 'express';
 import pool from '../db/pool.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { STOCK_UNITS, convertAmount, recordMovement, refreshStockStatus } from '../services/inventory.js';
+import { recordAudit, changedFields } from '../services/audit.js';
 
 const router = Router();
+const MAX_MOVEMENTS_LIMIT = 500;
 
 /**
  * GET /ingredients
@@ -24,37 +27,324 @@ router.get('/', async (req, res) => {
 
 /**
  * PATCH /ingredients/:id
- * Update ingredient stock status (admin only)
- * Body: { in_stock: boolean }
+ * Update ingredient stock status, stock unit or alcohol content (admin only)
+ * Body: {
+ *   in_stock?: boolean, unit?: 'ml'|'cl'|'pieces'|'bottles', bottle_size_ml?: number, abv?: number,
+ *   pack_size?: number (pieces per pack when shopping)
+ * }
+ * Quantities change through /restock and /adjust so every change has a reason;
+ * a new unit converts the tracked quantity (400 when it can't, e.g. pieces → ml)
  */
 router.patch('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { in_stock } = req.body;
+    const { in_stock, unit, bottle_size_ml, abv, pack_size } = req.body;
 
-    if (typeof in_stock !== 'boolean') {
-      return res.status(400).json({ error: 'in_stock must be a boolean' });
+    const updates = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (in_stock !== undefined) {
+      if (typeof in_stock !== 'boolean') {
+        return res.status(400).json({ error: 'in_stock must be a boolean' });
+      }
+      updates.push(`in_stock = $${paramIndex++}`);
+      params.push(in_stock);
     }
 
-    const result = await pool.query(`
-      UPDATE available_ingredients
-      SET in_stock = $1
-      WHERE id = $2
-      RETURNING *
-    `, [in_stock, id]);
+    if (unit !== undefined) {
+      if (!STOCK_UNITS.includes(unit)) {
+        return res.status(400).json({ error: `unit must be one of: ${STOCK_UNITS.join(', ')}` });
+      }
+      updates.push(`unit = $${paramIndex++}`);
+      params.push(unit);
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Ingredient not found' });
+    if (bottle_size_ml !== undefined) {
+      if (bottle_size_ml !== null && !(typeof bottle_size_ml === 'number' && bottle_size_ml > 0)) {
+        return res.status(400).json({ error: 'bottle_size_ml must be a positive number' });
+      }
+      updates.push(`bottle_size_ml = $${paramIndex++}`);
+      params.push(bottle_size_ml);
     }
 
-    console.log(`✅ Ingredient ${result.rows[0].name}: ${in_stock ? 'in stock' : 'out of stock'}`);
-    res.json(result.rows[0]);
+    if (abv !== undefined) {
+      if (!(typeof abv === 'number' && abv >= 0 && abv <= 100)) {
+        return res.status(400).json({ error: 'abv must be a number between 0 and 100' });
+      }
+      updates.push(`abv = $${paramIndex++}`);
+      params.push(abv);
+    }
+
+    if (pack_size !== undefined) {
+      if (pack_size !== null && !(typeof pack_size === 'number' && pack_size > 0)) {
+        return res.status(400).json({ error: 'pack_size must be a positive number' });
+      }
+      updates.push(`pack_size = $${paramIndex++}`);
+      params.push(pack_size);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const client = await pool.connect();
+    let ingredient;
+    try {
+      await client.query('BEGIN');
+
+      // Rows as JSON on both sides so the audit entry compares like with like
+      const current = await client.query(
+        'SELECT ai.*, to_jsonb(ai) as row FROM available_ingredients ai WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Ingredient not found' });
+      }
+
+      const previous = current.rows[0];
+      let converted = null;
+      if (unit !== undefined && previous.unit && unit !== previous.unit && previous.quantity !== null) {
+        const bottleSize = bottle_size_ml !== undefined ? bottle_size_ml : parseFloat(previous.bottle_size_ml);
+        converted = convertAmount(parseFloat(previous.quantity), previous.unit, unit, bottleSize);
+
+        if (converted === null) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            error: `Cannot convert ${parseFloat(previous.quantity)} ${previous.unit} to ${unit}; adjust the quantity first`
+          });
+        }
+
+        // 0.3 bottles of 700 ml is 21 cl, not 21.000000000000004
+        converted = Math.round(converted * 1e6) / 1e6;
+
+        updates.push(`quantity = $${paramIndex++}`);
+        params.push(converted);
+      }
+
+      params.push(id);
+      await client.query(`
+        UPDATE available_ingredients
+        SET ${updates.join(', ')}
+        WHERE id = $${paramIndex}
+      `, params);
+
+      // Same stock, new unit: the movement only keeps a trace of the conversion
+      if (converted !== null) {
+        await recordMovement(client, {
+          ingredientId: previous.id,
+          delta: 0,
+          unit,
+          reason: `unit change: ${parseFloat(previous.quantity)} ${previous.unit} → ${converted} ${unit}`,
+          userId: req.user.id,
+        });
+      }
+
+      // The unit and bottle size decide whether the stock covers a serving
+      if (unit !== undefined || bottle_size_ml !== undefined) {
+        await refreshStockStatus(client, [previous.id]);
+      }
+
+      const result = await client.query(
+        'SELECT ai.*, to_jsonb(ai) as row FROM available_ingredients ai WHERE id = $1',
+        [id]
+      );
+      const { row, ...updated } = result.rows[0];
+      ingredient = updated;
+
+      await recordAudit(client, req, {
+        action: 'ingredients.update',
+        targetType: 'ingredients',
+        targetId: ingredient.id,
+        ...changedFields(previous.row, row),
+      });
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (in_stock !== undefined) {
+      console.log(`✅ Ingredient ${ingredient.name}: ${in_stock ? 'in stock' : 'out of stock'}`);
+    } else {
+      console.log(`✅ Updated ingredient: ${ingredient.name}`);
+    }
+    res.json(ingredient);
   } catch (error) {
     console.error('Error PATCH /ingredients/:id:', error.message);
     res.status(500).json({ error: 'Failed to update ingredient' });
   }
 });
 
+/**
+ * Apply a quantity change to an ingredient and record it
+ * mode 'restock' adds `amount`, mode 'adjust' applies `delta` or sets `quantity`
+ */
+async function changeQuantity(req, res, mode) {
+  const { id } = req.params;
+  const { amount, delta, quantity, reason } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT * FROM available_ingredients WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Ingredient not found' });
+    }
+
+    const ingredient = current.rows[0];
+    if (!ingredient.unit) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Set a stock unit on this ingredient first' });
+    }
+
+    const before = ingredient.quantity === null ? 0 : parseFloat(ingredient.quantity);
+    let after;
+    if (mode === 'restock') {
+      after = before + amount;
+    } else if (quantity !== undefined) {
+      after = quantity;
+    } else {
+      after = Math.max(before + delta, 0);
+    }
+
+    await client.query(
+      'UPDATE available_ingredients SET quantity = $1 WHERE id = $2',
+      [after, id]
+    );
+
+    await recordMovement(client, {
+      ingredientId: ingredient.id,
+      delta: after - before,
+      unit: ingredient.unit,
+      reason: reason || 'restock',
+      userId: req.user.id,
+    });
+
+    // Restocking can bring it back, emptying can take it out
+    await refreshStockStatus(client, [ingredient.id]);
+
+    const result = await client.query('SELECT * FROM available_ingredients WHERE id = $1', [id]);
+
+    await recordAudit(client, req, {
+      action: `ingredients.${mode}`,
+      targetType: 'ingredients',
+      targetId: ingredient.id,
+      before: { quantity: before, in_stock: ingredient.in_stock },
+      after: { quantity: after, in_stock: result.rows[0].in_stock, reason: reason || 'restock' },
+    });
+
+    await client.query('COMMIT');
+
+    console.log(`✅ ${ingredient.name}: ${before} → ${after} ${ingredient.unit} (${reason || 'restock'})`);
+    res.json(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /ingredients/:id/restock
+ * Add stock to an ingredient (admin only)
+ * Body: { amount: number (in the ingredient unit), reason?: string }
+ */
+router.post('/:id/restock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (typeof amount !== 'number' || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || !reason.trim())) {
+      return res.status(400).json({ error: 'reason must be a non-empty string' });
+    }
+
+    await changeQuantity(req, res, 'restock');
+  } catch (error) {
+    console.error('Error POST /ingredients/:id/restock:', error.message);
+    res.status(500).json({ error: 'Failed to restock ingredient' });
+  }
+});
+
+/**
+ * POST /ingredients/:id/adjust
+ * Correct an ingredient quantity (admin only)
+ * Body: { delta: number } or { quantity: number }, plus { reason: string }
+ */
+router.post('/:id/adjust', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { delta, quantity, reason } = req.body;
+
+    if ((delta === undefined) === (quantity === undefined)) {
+      return res.status(400).json({ error: 'Provide either delta or quantity' });
+    }
+
+    if (delta !== undefined && typeof delta !== 'number') {
+      return res.status(400).json({ error: 'delta must be a number' });
+    }
+
+    if (quantity !== undefined && (typeof quantity !== 'number' || quantity < 0)) {
+      return res.status(400).json({ error: 'quantity must be a non-negative number' });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'reason is required' });
+    }
+
+    await changeQuantity(req, res, 'adjust');
+  } catch (error) {
+    console.error('Error POST /ingredients/:id/adjust:', error.message);
+    res.status(500).json({ error: 'Failed to adjust ingredient' });
+  }
+});
+
+/**
+ * GET /ingredients/:id/movements
+ * Stock movement history for an ingredient (admin only)
+ * Query params: ?limit=50 (500 max)
+ */
+router.get('/:id/movements', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MOVEMENTS_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_MOVEMENTS_LIMIT}` });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        m.id, m.delta, m.unit, m.reason, m.order_id, m.created_at,
+        m.user_id, u.username as user_name
+      FROM ingredient_stock_movements m
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE m.ingredient_id = $1
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $2
+    `, [id, limit]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error GET /ingredients/:id/movements:', error.message);
+    res.status(500).json({ error: 'Failed to fetch stock movements' });
+  }
+});
+
 /**
  * POST /ingredients/toggle
  * Toggle stock status for an ingredient by name (admin only)
@@ -69,18 +359,29 @@ router.post('/toggle', authenticateToken, requireAdmin, async (req, res) => {
     }
 
     const result = await pool.query(`
-      UPDATE available_ingredients
+      UPDATE available_ingredients ai
       SET in_stock = $1
-      WHERE LOWER(name) = LOWER($2)
-      RETURNING *
+      FROM (SELECT id, in_stock FROM available_ingredients WHERE LOWER(name) = LOWER($2) FOR UPDATE) previous
+      WHERE ai.id = previous.id
+      RETURNING ai.*, previous.in_stock as previous_in_stock
     `, [in_stock, name]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Ingredient not found' });
     }
 
+    const { previous_in_stock: previousInStock, ...ingredient } = result.rows[0];
+
+    await recordAudit(pool, req, {
+      action: 'ingredients.toggle',
+      targetType: 'ingredients',
+      targetId: ingredient.id,
+      before: { in_stock: previousInStock },
+      after: { in_stock: ingredient.in_stock },
+    });
+
     console.log(`✅ ${name}: ${in_stock ? 'in stock' : 'out of stock'}`);
-    res.json(result.rows[0]);
+    res.json(ingredient);
   } catch (error) {
     console.error('Error POST /ingredients/toggle:', error.message);
     res.status(500).json({ error: 'Failed to toggle ingredient' });
@@ -104,13 +405,32 @@ router.post('/bulk-update', authenticateToken, requireAdmin, async (req, res) =>
     try {
       await client.query('BEGIN');
 
+      const before = [];
+      const after = [];
       for (const ing of ingredients) {
-        await client.query(
-          'UPDATE available_ingredients SET in_stock = $1 WHERE id = $2',
-          [ing.in_stock, ing.id]
-        );
+        const updated = await client.query(`
+          UPDATE available_ingredients ai
+          SET in_stock = $1
+          FROM (SELECT id, in_stock FROM available_ingredients WHERE id = $2 FOR UPDATE) previous
+          WHERE ai.id = previous.id
+          RETURNING ai.id, ai.name, ai.in_stock, previous.in_stock as previous_in_stock
+        `, [ing.in_stock, ing.id]);
+
+        const row = updated.rows[0];
+        if (row && row.in_stock !== row.previous_in_stock) {
+          before.push({ id: row.id, name: row.name, in_stock: row.previous_in_stock });
+          after.push({ id: row.id, name: row.name, in_stock: row.in_stock });
+        }
       }
 
+      // One entry for the batch, listing the ingredients that actually changed
+      await recordAudit(client, req, {
+        action: 'ingredients.bulk_update',
+        targetType: 'ingredients',
+        before,
+        after,
+      });
+
       await client.query('COMMIT');
 
       // Fetch updated list
@@ -132,21 +452,32 @@ router.post('/bulk-update', authenticateToken, requireAdmin, async (req, res) =>
 /**
  * POST /ingredients
  * Add a new ingredient (admin only)
- * Body: { name: string, in_stock?: boolean }
+ * Body: { name: string, in_stock?: boolean, abv?: number }
  */
 router.post('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { name, in_stock = true } = req.body;
+    const { name, in_stock = true, abv = 0 } = req.body;
 
     if (!name || !name.trim()) {
       return res.status(400).json({ error: 'name is required' });
     }
 
+    if (!(typeof abv === 'number' && abv >= 0 && abv <= 100)) {
+      return res.status(400).json({ error: 'abv must be a number between 0 and 100' });
+    }
+
     const result = await pool.query(`
-      INSERT INTO available_ingredients (name, in_stock)
-      VALUES ($1, $2)
+      INSERT INTO available_ingredients (name, in_stock, abv)
+      VALUES ($1, $2, $3)
       RETURNING *
-    `, [name.trim(), in_stock]);
+    `, [name.trim(), in_stock, abv]);
+
+    await recordAudit(pool, req, {
+      action: 'ingredients.create',
+      targetType: 'ingredients',
+      targetId: result.rows[0].id,
+      after: result.rows[0],
+    });
 
     console.log(`✅ Added ingredient: ${name}`);
     res.status(201).json(result.rows[0]);
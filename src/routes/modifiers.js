@@ -0,0 +1,211 @@
+// Modifier routes (order customizations: "virgin", "double", "sans glace"...)
+import { Router } from 'express';
+import pool from '../db/pool.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { validateModifierFields, findUnknownIngredients } from '../services/modifiers.js';
+import { recordAudit, changedFields } from '../services/audit.js';
+
+const router = Router();
+
+/**
+ * GET /modifiers
+ * List modifiers
+ * Query params: ?cocktailId=mojito  only those usable on that cocktail (global + its own)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { cocktailId } = req.query;
+
+    const result = await pool.query(`
+      SELECT *
+      FROM modifiers
+      WHERE ($1::text IS NULL OR cocktail_id IS NULL OR cocktail_id = $1)
+      ORDER BY group_name ASC NULLS LAST, name ASC
+    `, [cocktailId || null]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error GET /modifiers:', error.message);
+    res.status(500).json({ error: 'Failed to fetch modifiers' });
+  }
+});
+
+/**
+ * POST /modifiers
+ * Create a modifier (admin only)
+ * Body: {
+ *   name: string, group?: string, cocktail_id?: string (omit for all cocktails),
+ *   remove_ingredients?: number[], add_ingredients?: [{ ingredientId, amount, unit }],
+ *   alcohol_factor?: number (1 = unchanged, 0 = virgin, 2 = double)
+ * }
+ */
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const {
+      name, group = null, cocktail_id = null,
+      remove_ingredients = [], add_ingredients = [], alcohol_factor = 1
+    } = req.body;
+
+    if (name === undefined) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const invalid = validateModifierFields({ name, group, remove_ingredients, add_ingredients, alcohol_factor });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (cocktail_id !== null) {
+      const cocktail = await pool.query('SELECT id FROM cocktails WHERE id = $1', [cocktail_id]);
+      if (cocktail.rows.length === 0) {
+        return res.status(404).json({ error: 'Cocktail not found' });
+      }
+    }
+
+    const unknown = await findUnknownIngredients(pool, { remove_ingredients, add_ingredients });
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown ingredient id(s): ${unknown.join(', ')}` });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO modifiers (name, group_name, cocktail_id, remove_ingredients, add_ingredients, alcohol_factor)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      name.trim(), group, cocktail_id,
+      JSON.stringify(remove_ingredients), JSON.stringify(add_ingredients), alcohol_factor
+    ]);
+
+    await recordAudit(pool, req, {
+      action: 'modifiers.create',
+      targetType: 'modifiers',
+      targetId: result.rows[0].id,
+      after: result.rows[0],
+    });
+
+    console.log(`✅ Created modifier: ${name}`);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Modifier already exists' });
+    }
+    console.error('Error POST /modifiers:', error.message);
+    res.status(500).json({ error: 'Failed to create modifier' });
+  }
+});
+
+/**
+ * PATCH /modifiers/:id
+ * Update a modifier (admin only), past orders keep the version they were made with
+ * Body: any of { name, group, remove_ingredients, add_ingredients, alcohol_factor }
+ */
+router.patch('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, group, remove_ingredients, add_ingredients, alcohol_factor } = req.body;
+
+    const invalid = validateModifierFields({ name, group, remove_ingredients, add_ingredients, alcohol_factor });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const unknown = await findUnknownIngredients(pool, { remove_ingredients, add_ingredients });
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown ingredient id(s): ${unknown.join(', ')}` });
+    }
+
+    const updates = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramIndex++}`);
+      params.push(name.trim());
+    }
+
+    if (group !== undefined) {
+      updates.push(`group_name = $${paramIndex++}`);
+      params.push(group);
+    }
+
+    for (const [column, value] of Object.entries({ remove_ingredients, add_ingredients })) {
+      if (value !== undefined) {
+        updates.push(`${column} = $${paramIndex++}`);
+        params.push(JSON.stringify(value));
+      }
+    }
+
+    if (alcohol_factor !== undefined) {
+      updates.push(`alcohol_factor = $${paramIndex++}`);
+      params.push(alcohol_factor);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    params.push(id);
+
+    // Rows as JSON on both sides so the audit entry compares like with like
+    const result = await pool.query(`
+      UPDATE modifiers m
+      SET ${updates.join(', ')}
+      FROM (SELECT * FROM modifiers WHERE id = $${paramIndex} FOR UPDATE) previous
+      WHERE m.id = previous.id
+      RETURNING m.*, to_jsonb(previous) as previous_row, to_jsonb(m) as current_row
+    `, params);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Modifier not found' });
+    }
+
+    const { previous_row: previousRow, current_row: currentRow, ...modifier } = result.rows[0];
+
+    await recordAudit(pool, req, {
+      action: 'modifiers.update',
+      targetType: 'modifiers',
+      targetId: modifier.id,
+      ...changedFields(previousRow, currentRow),
+    });
+
+    console.log(`✅ Updated modifier: ${modifier.name}`);
+    res.json(modifier);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Modifier already exists' });
+    }
+    console.error('Error PATCH /modifiers/:id:', error.message);
+    res.status(500).json({ error: 'Failed to update modifier' });
+  }
+});
+
+/**
+ * DELETE /modifiers/:id
+ * Delete a modifier (admin only), past orders keep their copy
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query('DELETE FROM modifiers WHERE id = $1 RETURNING *', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Modifier not found' });
+    }
+
+    await recordAudit(pool, req, {
+      action: 'modifiers.delete',
+      targetType: 'modifiers',
+      targetId: result.rows[0].id,
+      before: result.rows[0],
+    });
+
+    console.log(`✅ Deleted modifier: ${result.rows[0].name}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error DELETE /modifiers/:id:', error.message);
+    res.status(500).json({ error: 'Failed to delete modifier' });
+  }
+});
+
+export default router;
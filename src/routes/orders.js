@@ -2,18 +2,59 @@
 import { Router } from 'express';
 import pool from '../db/pool.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { publishOrderEvent, openOrderStream } from '../services/orderEvents.js';
+import {
+  ORDER_STATUSES,
+  allowedTransitions,
+  canTransition,
+  recordStatusChange,
+} from '../services/orderStatus.js';
+import { withEta } from '../services/orderEta.js';
+import { checkServingLimit } from '../services/servingLimits.js';
+import { getCurrentSession, isOnMenu } from '../services/barSession.js';
+import { consumeOrderIngredients } from '../services/inventory.js';
+import { getConsumptionSummary } from '../services/alcohol.js';
+import { MAX_LINE_MODIFIERS, resolveLineModifiers, canBeMadeWith } from '../services/modifiers.js';
+import { EXPORT_FORMATS, parseExportFilters, streamOrderExport } from '../services/orderExport.js';
+import { recordAudit } from '../services/audit.js';
 
 const router = Router();
 
+const MAX_ORDER_LINES = 10;
+const MAX_LINE_QUANTITY = 10;
+
+// Order lines as a JSON array, for SELECTs aliasing orders as "o"
+const ORDER_ITEMS_SQL = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'id', oi.id,
+      'cocktail_id', oi.cocktail_id,
+      'cocktail_name', c.name,
+      'cocktail_image', c.image,
+      'cocktail_ingredients', c.ingredients,
+      'quantity', oi.quantity,
+      'notes', oi.notes,
+      'modifiers', oi.modifiers
+    ) ORDER BY oi.id)
+    FROM order_items oi
+    JOIN cocktails c ON oi.cocktail_id = c.id
+    WHERE oi.order_id = o.id
+  ), '[]'::json)`;
+
+// Total drinks in the order
+const ORDER_ITEM_COUNT_SQL = `
+  (SELECT COALESCE(SUM(oi.quantity), 0)::int FROM order_items oi WHERE oi.order_id = o.id)`;
+
 /**
  * GET /orders
  * List all orders with user and cocktail info
  * Admin only - regular users can only see their own orders via /orders/my
- * Query params: ?status=pending|preparing|ready|completed|cancelled
+ * Query params: ?status=pending|preparing|ready|completed|cancelled,
+ * ?archived=true (archived orders instead of the active board)
  */
 router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, archived } = req.query;
 
     let query = `
       SELECT
@@ -22,28 +63,33 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
         o.notes,
         o.created_at,
         o.completed_at,
+        o.archived_at,
         o.user_id,
         u.username as user_name,
         o.cocktail_id,
         ck.name as cocktail_name,
         ck.image as cocktail_image,
-        ck.ingredients as cocktail_ingredients
+        ck.ingredients as cocktail_ingredients,
+        ${ORDER_ITEM_COUNT_SQL} as item_count,
+        ${ORDER_ITEMS_SQL} as items
       FROM orders o
-      JOIN users u ON o.user_id = u.id
+      LEFT JOIN users u ON o.user_id = u.id
       JOIN cocktails ck ON o.cocktail_id = ck.id
     `;
 
     const params = [];
 
+    query += archived === 'true' ? ' WHERE o.archived_at IS NOT NULL' : ' WHERE o.archived_at IS NULL';
+
     if (status) {
-      query += ' WHERE o.status = $1';
+      query += ' AND o.status = $1';
       params.push(status);
     }
 
     query += ' ORDER BY o.created_at DESC';
 
     const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(await withEta(pool, result.rows));
   } catch (error) {
     console.error('Error GET /orders:', error.message);
     res.status(500).json({ error: 'Erreur lors de la récupération des commandes' });
@@ -66,67 +112,385 @@ router.get('/my', authenticateToken, async (req, res) => {
         o.completed_at,
         o.cocktail_id,
         ck.name as cocktail_name,
-        ck.image as cocktail_image
+        ck.image as cocktail_image,
+        ${ORDER_ITEM_COUNT_SQL} as item_count,
+        ${ORDER_ITEMS_SQL} as items
       FROM orders o
       JOIN cocktails ck ON o.cocktail_id = ck.id
       WHERE o.user_id = $1
       ORDER BY o.created_at DESC
     `, [req.user.id]);
 
-    res.json(result.rows);
+    res.json(await withEta(pool, result.rows));
   } catch (error) {
     console.error('Error GET /orders/my:', error.message);
     res.status(500).json({ error: 'Erreur lors de la récupération de vos commandes' });
   }
 });
 
+/**
+ * GET /orders/my/consumption
+ * Current user's drinks and standard drinks for the current bar session and the last N hours
+ * Query params: ?hours=24 (1-168)
+ * Requires authentication
+ */
+router.get('/my/consumption', authenticateToken, async (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours || '24');
+    if (!(hours >= 1 && hours <= 168)) {
+      return res.status(400).json({ error: 'hours doit être compris entre 1 et 168' });
+    }
+
+    res.json(await getConsumptionSummary(pool, req.user.id, hours));
+  } catch (error) {
+    console.error('Error GET /orders/my/consumption:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul de votre consommation' });
+  }
+});
+
+/**
+ * GET /orders/stream
+ * Server-Sent Events stream of order changes
+ * Events: order.created, order.updated, order.archived
+ * Admins receive every order, regular users only their own
+ * Requires authentication
+ */
+router.get('/stream', authenticateToken, (req, res) => {
+  openOrderStream(req, res);
+});
+
+/**
+ * GET /orders/export
+ * Download the order history with user, session and cocktail names (admin only)
+ * Streamed in batches, so it can be run on the whole history before DELETE /orders
+ * Query params: ?format=csv|ndjson, ?from=, ?to= (ISO dates), ?status=completed,cancelled, ?sessionId=
+ * A date alone in ?to includes that whole day (?from=2026-10-18&to=2026-10-18 is one day)
+ * CSV cells starting like a formula (=, +, -, @) are prefixed with ' so spreadsheets show them as text
+ */
+router.get('/export', authenticateToken, requireAdmin, async (req, res) => {
+  const { format = 'csv' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format doit être parmi : ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const { filters, error } = parseExportFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.attachment(`orders-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+    const count = await streamOrderExport(pool, filters, format, res);
+    console.log(`✅ Exported ${count} orders (${format})`);
+  } catch (error) {
+    console.error('Error GET /orders/export:', error.message);
+    if (res.headersSent) {
+      // Cut the download short rather than hand out a truncated file that looks complete
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: "Erreur lors de l'export des commandes" });
+  }
+});
+
+/**
+ * GET /orders/:id
+ * Get a single order with its lines and status timeline
+ * Requires authentication - admins see any order, users only their own
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const orderResult = await pool.query(`
+      SELECT
+        o.id,
+        o.status,
+        o.notes,
+        o.created_at,
+        o.completed_at,
+        o.archived_at,
+        o.user_id,
+        u.username as user_name,
+        o.cocktail_id,
+        ck.name as cocktail_name,
+        ck.image as cocktail_image,
+        ${ORDER_ITEM_COUNT_SQL} as item_count,
+        ${ORDER_ITEMS_SQL} as items
+      FROM orders o
+      LEFT JOIN users u ON o.user_id = u.id
+      JOIN cocktails ck ON o.cocktail_id = ck.id
+      WHERE o.id = $1
+    `, [id]);
+
+    const order = orderResult.rows[0];
+    if (!order || (req.user.role !== 'admin' && order.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Commande non trouvée' });
+    }
+
+    const historyResult = await pool.query(`
+      SELECT
+        h.from_status,
+        h.to_status,
+        h.changed_at,
+        h.changed_by,
+        u.username as changed_by_name
+      FROM order_status_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.order_id = $1
+      ORDER BY h.changed_at ASC, h.id ASC
+    `, [id]);
+
+    const [withEstimate] = await withEta(pool, [order]);
+
+    res.json({
+      ...withEstimate,
+      allowed_transitions: allowedTransitions(order.status),
+      timeline: historyResult.rows
+    });
+  } catch (error) {
+    console.error('Error GET /orders/:id:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la commande' });
+  }
+});
+
+/**
+ * GET /orders/:id/eta
+ * Queue position and estimated wait for an order
+ * Requires authentication - admins see any order, users only their own
+ */
+router.get('/:id/eta', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(`
+      SELECT
+        o.id,
+        o.status,
+        o.created_at,
+        o.user_id,
+        COALESCE((
+          SELECT json_agg(json_build_object('cocktail_id', oi.cocktail_id, 'quantity', oi.quantity))
+          FROM order_items oi
+          WHERE oi.order_id = o.id
+        ), '[]'::json) as items
+      FROM orders o
+      WHERE o.id = $1
+    `, [id]);
+
+    const order = result.rows[0];
+    if (!order || (req.user.role !== 'admin' && order.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Commande non trouvée' });
+    }
+
+    const [{ items, user_id, ...estimate }] = await withEta(pool, [order]);
+    res.json(estimate);
+  } catch (error) {
+    console.error('Error GET /orders/:id/eta:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul de l\'attente' });
+  }
+});
+
 /**
  * POST /orders
  * Create a new order for the authenticated user
  * Requires authentication
- * Body: { cocktailId, notes? }
+ * Body: { items: [{ cocktailId, quantity?, modifiers?: number[], notes? }], notes? }
+ * modifiers are ids from GET /modifiers?cocktailId=...
+ * Legacy body { cocktailId, notes? } is accepted as a single-line order
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
     const { cocktailId, notes } = req.body;
     const userId = req.user.id;
 
+    const rawItems = req.body.items !== undefined
+      ? req.body.items
+      : (cocktailId ? [{ cocktailId }] : null);
+
     // Validation
-    if (!cocktailId) {
-      return res.status(400).json({ error: 'cocktailId est requis' });
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+      return res.status(400).json({ error: 'items (tableau non vide) ou cocktailId est requis' });
     }
 
-    // Verify cocktail exists and is available
-    const cocktailResult = await pool.query(
-      'SELECT * FROM cocktails WHERE id = $1',
-      [cocktailId]
-    );
+    if (rawItems.length > MAX_ORDER_LINES) {
+      return res.status(400).json({
+        error: `Une commande ne peut pas dépasser ${MAX_ORDER_LINES} lignes`
+      });
+    }
+
+    const items = [];
+    for (const item of rawItems) {
+      const quantity = item?.quantity === undefined ? 1 : item.quantity;
+
+      if (!item?.cocktailId || typeof item.cocktailId !== 'string') {
+        return res.status(400).json({ error: 'Chaque ligne doit avoir un cocktailId (texte)' });
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+        return res.status(400).json({
+          error: `La quantité doit être un entier entre 1 et ${MAX_LINE_QUANTITY}`
+        });
+      }
+
+      const modifierIds = item.modifiers === undefined ? [] : item.modifiers;
+      if (!Array.isArray(modifierIds) || !modifierIds.every(Number.isInteger)
+        || new Set(modifierIds).size !== modifierIds.length || modifierIds.length > MAX_LINE_MODIFIERS) {
+        return res.status(400).json({
+          error: `modifiers doit être une liste d'identifiants d'options (${MAX_LINE_MODIFIERS} max)`
+        });
+      }
 
-    if (cocktailResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Cocktail non trouvé' });
+      items.push({ cocktailId: item.cocktailId, quantity, modifierIds, notes: item.notes || null });
     }
 
-    const cocktail = cocktailResult.rows[0];
-    if (!cocktail.available) {
-      return res.status(400).json({ error: 'Ce cocktail n\'est pas disponible' });
+    const client = await pool.connect();
+    let order;
+    try {
+      await client.query('BEGIN');
+
+      // Orders are only taken while the bar is open
+      const session = await getCurrentSession(client);
+      if (!session) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: 'Le bar est fermé, revenez plus tard !' });
+      }
+
+      // Verify every cocktail exists and can be made, in the same transaction
+      const cocktailIds = [...new Set(items.map((item) => item.cocktailId))];
+      const cocktailResult = await client.query(`
+        SELECT cwa.id, cwa.name, cwa.image, cwa.can_be_made, c.available, c.alcohol_free, c.archived_at
+        FROM cocktails_with_availability cwa
+        JOIN cocktails c ON c.id = cwa.id
+        WHERE cwa.id = ANY($1)
+      `, [cocktailIds]);
+      const cocktails = new Map(cocktailResult.rows.map((c) => [c.id, c]));
+
+      const missing = cocktailIds.filter((id) => !cocktails.has(id));
+      if (missing.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Cocktail non trouvé', cocktailIds: missing });
+      }
+
+      const archived = cocktailIds.filter((id) => cocktails.get(id).archived_at);
+      if (archived.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: `Cocktail(s) retiré(s) de la carte: ${archived.map((id) => cocktails.get(id).name).join(', ')}`,
+          cocktailIds: archived
+        });
+      }
+
+      const invalidModifiers = await resolveLineModifiers(client, items);
+      if (invalidModifiers) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: invalidModifiers });
+      }
+
+      // A cocktail switched off by an admin stays off; modifiers can only lift
+      // (virgin, "sans menthe") or add stock requirements
+      const unavailable = [];
+      for (const item of items) {
+        const cocktail = cocktails.get(item.cocktailId);
+        const inStock = item.modifiers.length > 0
+          ? await canBeMadeWith(client, item.cocktailId, item.modifiers)
+          : cocktail.can_be_made;
+        const canBeMade = cocktail.available && inStock;
+        if (!canBeMade && !unavailable.includes(item.cocktailId)) {
+          unavailable.push(item.cocktailId);
+        }
+      }
+      if (unavailable.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: `Cocktail(s) non disponible(s): ${unavailable.map((id) => cocktails.get(id).name).join(', ')}`,
+          cocktailIds: unavailable
+        });
+      }
+
+      const offMenu = cocktailIds.filter((id) => !isOnMenu(session, id));
+      if (offMenu.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: `Pas au menu ce soir: ${offMenu.map((id) => cocktails.get(id).name).join(', ')}`,
+          cocktailIds: offMenu
+        });
+      }
+
+      // Responsible serving: lock the user so parallel orders are counted together
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+      const alcoholicDrinks = items
+        .filter((item) => !cocktails.get(item.cocktailId).alcohol_free)
+        .reduce((sum, item) => sum + Math.ceil(item.quantity * item.alcoholFactor), 0);
+
+      const refusal = await checkServingLimit(client, userId, alcoholicDrinks);
+      if (refusal) {
+        await client.query('ROLLBACK');
+        if (refusal.retryAfterSeconds) {
+          res.set('Retry-After', String(refusal.retryAfterSeconds));
+        }
+        return res.status(429).json({
+          error: refusal.error,
+          retryAfterSeconds: refusal.retryAfterSeconds,
+          nextAllowedAt: refusal.retryAfterSeconds
+            ? new Date(Date.now() + refusal.retryAfterSeconds * 1000).toISOString()
+            : null
+        });
+      }
+
+      // orders.cocktail_id keeps the first line for older clients
+      const orderResult = await client.query(`
+        INSERT INTO orders (user_id, cocktail_id, notes, status, session_id)
+        VALUES ($1, $2, $3, 'pending', $4)
+        RETURNING *
+      `, [userId, items[0].cocktailId, notes || null, session.id]);
+      order = orderResult.rows[0];
+
+      const lines = [];
+      for (const item of items) {
+        const lineResult = await client.query(`
+          INSERT INTO order_items (order_id, cocktail_id, quantity, notes, modifiers, alcohol_factor)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING id, cocktail_id, quantity, notes, modifiers
+        `, [order.id, item.cocktailId, item.quantity, item.notes, JSON.stringify(item.modifiers), item.alcoholFactor]);
+
+        const cocktail = cocktails.get(item.cocktailId);
+        lines.push({
+          ...lineResult.rows[0],
+          cocktail_name: cocktail.name,
+          cocktail_image: cocktail.image
+        });
+      }
+
+      await recordStatusChange(client, order.id, null, 'pending', userId);
+
+      await client.query('COMMIT');
+
+      const first = cocktails.get(items[0].cocktailId);
+      order = {
+        ...order,
+        user_name: req.user.username,
+        cocktail_name: first.name,
+        cocktail_image: first.image,
+        item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+        items: lines
+      };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
     }
 
-    // Create order
-    const orderResult = await pool.query(`
-      INSERT INTO orders (user_id, cocktail_id, notes, status)
-      VALUES ($1, $2, $3, 'pending')
-      RETURNING *
-    `, [userId, cocktailId, notes || null]);
+    console.log(`✅ Order: ${req.user.username} → ${order.items.map((i) => `${i.quantity}× ${i.cocktail_name}`).join(', ')}`);
 
-    console.log(`✅ Order: ${req.user.username} → ${cocktail.name}`);
+    publishOrderEvent('created', order);
 
-    // Return order with full details
-    res.status(201).json({
-      ...orderResult.rows[0],
-      user_name: req.user.username,
-      cocktail_name: cocktail.name,
-      cocktail_image: cocktail.image
-    });
+    const [withEstimate] = await withEta(pool, [order]);
+    res.status(201).json(withEstimate);
   } catch (error) {
     console.error('Error POST /orders:', error.message);
     res.status(500).json({ error: 'Erreur lors de la création de la commande' });
@@ -137,76 +501,273 @@ router.post('/', authenticateToken, async (req, res) => {
  * PATCH /orders/:id
  * Update order status (admin only)
  * Body: { status: 'pending'|'preparing'|'ready'|'completed'|'cancelled' }
+ * Allowed transitions: pending → preparing → ready → completed,
+ * cancelled from any status before completed
  */
 router.patch('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
-    const validStatuses = ['pending', 'preparing', 'ready', 'completed', 'cancelled'];
-    if (!status || !validStatuses.includes(status)) {
+    if (!status || !ORDER_STATUSES.includes(status)) {
       return res.status(400).json({
-        error: `Statut invalide. Doit être: ${validStatuses.join(', ')}`
+        error: `Statut invalide. Doit être: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT status, archived_at FROM orders WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Commande non trouvée' });
+      }
+
+      if (current.rows[0].archived_at) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Commande archivée' });
+      }
+
+      const previousStatus = current.rows[0].status;
+      if (!canTransition(previousStatus, status)) {
+        await client.query('ROLLBACK');
+        const allowed = allowedTransitions(previousStatus);
+        return res.status(409).json({
+          error: `Transition impossible: ${previousStatus} → ${status}. ` + (allowed.length
+            ? `Statuts autorisés: ${allowed.join(', ')}`
+            : 'Cette commande est terminée'),
+          currentStatus: previousStatus,
+          allowedTransitions: allowed
+        });
+      }
+
+      const result = await client.query(`
+        UPDATE orders
+        SET status = $1,
+            completed_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE completed_at END
+        WHERE id = $2
+        RETURNING *
+      `, [status, id, status === 'completed']);
+
+      await recordStatusChange(client, id, previousStatus, status, req.user.id);
+
+      // Served drinks come out of the stock
+      const stockChanges = status === 'completed'
+        ? await consumeOrderIngredients(client, id, req.user.id)
+        : [];
+
+      await recordAudit(client, req, {
+        action: 'orders.status',
+        targetType: 'orders',
+        targetId: id,
+        before: { status: previousStatus },
+        after: { status },
       });
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Order ${id}: ${previousStatus} → ${status}`);
+      stockChanges
+        .filter((ingredient) => !ingredient.in_stock)
+        .forEach((ingredient) => console.log(`⚠️ ${ingredient.name} is now out of stock`));
+      publishOrderEvent('updated', result.rows[0]);
+      res.json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error PATCH /orders/:id:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour' });
+  }
+});
+
+/**
+ * POST /orders/:id/cancel
+ * Cancel one of the current user's orders while it is still pending
+ * Requires authentication (owner only)
+ */
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT status FROM orders WHERE id = $1 AND user_id = $2 AND archived_at IS NULL FOR UPDATE',
+        [id, req.user.id]
+      );
+
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Commande non trouvée' });
+      }
+
+      if (current.rows[0].status !== 'pending') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Seules les commandes en attente peuvent être annulées',
+          currentStatus: current.rows[0].status
+        });
+      }
+
+      const result = await client.query(`
+        UPDATE orders
+        SET status = 'cancelled'
+        WHERE id = $1
+        RETURNING *
+      `, [id]);
+
+      await recordStatusChange(client, id, 'pending', 'cancelled', req.user.id);
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Order ${id} cancelled by ${req.user.username}`);
+      publishOrderEvent('updated', result.rows[0]);
+      res.json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error POST /orders/:id/cancel:', error.message);
+    res.status(500).json({ error: 'Erreur lors de l\'annulation' });
+  }
+});
+
+/**
+ * PATCH /orders/:id/notes
+ * Edit the notes of one of the current user's orders while it is still pending
+ * Requires authentication (owner only)
+ * Body: { notes: string | null }
+ */
+router.patch('/:id/notes', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes doit être une chaîne' });
     }
 
+    // Only pending orders still on the board are editable: the checks are part of the UPDATE
     const result = await pool.query(`
       UPDATE orders
-      SET status = $1
-      WHERE id = $2
+      SET notes = $1
+      WHERE id = $2 AND user_id = $3 AND status = 'pending' AND archived_at IS NULL
       RETURNING *
-    `, [status, id]);
+    `, [notes || null, id, req.user.id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Commande non trouvée' });
+      const existing = await pool.query(
+        'SELECT status FROM orders WHERE id = $1 AND user_id = $2 AND archived_at IS NULL',
+        [id, req.user.id]
+      );
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Commande non trouvée' });
+      }
+
+      return res.status(409).json({
+        error: 'Seules les commandes en attente peuvent être modifiées',
+        currentStatus: existing.rows[0].status
+      });
     }
 
-    console.log(`✅ Order ${id} → ${status}`);
+    console.log(`✅ Order ${id} notes updated by ${req.user.username}`);
+    publishOrderEvent('updated', result.rows[0]);
     res.json(result.rows[0]);
   } catch (error) {
-    console.error('Error PATCH /orders/:id:', error.message);
+    console.error('Error PATCH /orders/:id/notes:', error.message);
     res.status(500).json({ error: 'Erreur lors de la mise à jour' });
   }
 });
 
 /**
  * DELETE /orders/:id
- * Delete a specific order (admin only)
+ * Archive a specific order (admin only): it leaves the board but still counts in stats
+ * An order already archived is left as is (409)
+ * Archived orders are purged or anonymized later by the retention policy
  */
 router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await pool.query(
-      'DELETE FROM orders WHERE id = $1 RETURNING *',
-      [id]
-    );
+    const result = await pool.query(`
+      UPDATE orders
+      SET archived_at = NOW()
+      WHERE id = $1 AND archived_at IS NULL
+      RETURNING *
+    `, [id]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Commande non trouvée' });
+      const existing = await pool.query('SELECT archived_at FROM orders WHERE id = $1', [id]);
+
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Commande non trouvée' });
+      }
+
+      return res.status(409).json({
+        error: 'Commande déjà archivée',
+        archivedAt: existing.rows[0].archived_at
+      });
     }
 
-    console.log(`✅ Deleted order: ${id}`);
+    const order = result.rows[0];
+
+    await recordAudit(pool, req, {
+      action: 'orders.archive',
+      targetType: 'orders',
+      targetId: order.id,
+      before: { archived_at: null },
+      after: { archived_at: order.archived_at },
+    });
+
+    console.log(`✅ Archived order: ${id}`);
+    publishOrderEvent('archived', order);
     res.json({ success: true });
   } catch (error) {
     console.error('Error DELETE /orders/:id:', error.message);
-    res.status(500).json({ error: 'Erreur lors de la suppression' });
+    res.status(500).json({ error: "Erreur lors de l'archivage" });
   }
 });
 
 /**
  * DELETE /orders
- * Delete all orders (admin only)
+ * Clear the board: archive every active order (admin only)
  */
 router.delete('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query('DELETE FROM orders RETURNING id');
+    const result = await pool.query(
+      'UPDATE orders SET archived_at = NOW() WHERE archived_at IS NULL RETURNING id, user_id, status'
+    );
+
+    // One entry for the whole board: which orders were cleared, in which status
+    await recordAudit(pool, req, {
+      action: 'orders.archive_all',
+      targetType: 'orders',
+      before: { orders: result.rows.map(({ id, status }) => ({ id, status })) },
+      after: { archived_count: result.rowCount },
+    });
 
-    console.log(`✅ Deleted ${result.rowCount} orders`);
-    res.json({ success: true, deletedCount: result.rowCount });
+    console.log(`✅ Archived ${result.rowCount} orders`);
+    result.rows.forEach((order) => publishOrderEvent('archived', order));
+    res.json({ success: true, archivedCount: result.rowCount });
   } catch (error) {
     console.error('Error DELETE /orders:', error.message);
-    res.status(500).json({ error: 'Erreur lors de la suppression' });
+    res.status(500).json({ error: "Erreur lors de l'archivage" });
   }
 });
 
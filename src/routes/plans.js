@@ -0,0 +1,259 @@
+// Party plan routes (shopping lists for an event, admin only)
+import { Router } from 'express';
+import pool from '../db/pool.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import {
+  validatePlanFields, findUnavailableCocktails, buildShoppingList, shoppingListToCsv
+} from '../services/shoppingList.js';
+import { recordAudit, skipAudit, changedFields } from '../services/audit.js';
+
+const router = Router();
+
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const toPlan = (row) => ({
+  ...row,
+  drinks_per_guest: parseFloat(row.drinks_per_guest),
+});
+
+const planInput = (plan) => ({
+  cocktails: plan.cocktails,
+  guestCount: plan.guest_count,
+  drinksPerGuest: parseFloat(plan.drinks_per_guest),
+});
+
+/**
+ * POST /plans/preview
+ * Shopping list for a plan without saving it
+ * Body: { cocktails: string[], guestCount: number, drinksPerGuest: number }
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    skipAudit(req);
+
+    const { cocktails, guestCount, drinksPerGuest } = req.body;
+
+    if (cocktails === undefined || guestCount === undefined || drinksPerGuest === undefined) {
+      return res.status(400).json({ error: 'cocktails, guestCount et drinksPerGuest sont requis' });
+    }
+
+    const invalid = validatePlanFields({ cocktails, guestCount, drinksPerGuest });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const unavailable = await findUnavailableCocktails(pool, cocktails);
+    if (unavailable.length > 0) {
+      return res.status(400).json({ error: `Cocktail(s) introuvable(s) : ${unavailable.join(', ')}` });
+    }
+
+    res.json(await buildShoppingList(pool, { cocktails, guestCount, drinksPerGuest }));
+  } catch (error) {
+    console.error('Error POST /plans/preview:', error.message);
+    res.status(500).json({ error: 'Erreur lors du calcul de la liste de courses' });
+  }
+});
+
+/**
+ * GET /plans
+ * Saved plans, latest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, u.username as created_by_name
+      FROM party_plans p
+      LEFT JOIN users u ON u.id = p.created_by
+      ORDER BY p.updated_at DESC
+    `);
+
+    res.json(result.rows.map(toPlan));
+  } catch (error) {
+    console.error('Error GET /plans:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la récupération des plans' });
+  }
+});
+
+/**
+ * POST /plans
+ * Save a plan
+ * Body: { name: string, cocktails: string[], guestCount: number, drinksPerGuest: number }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, cocktails, guestCount, drinksPerGuest } = req.body;
+
+    if (name === undefined || cocktails === undefined || guestCount === undefined || drinksPerGuest === undefined) {
+      return res.status(400).json({ error: 'name, cocktails, guestCount et drinksPerGuest sont requis' });
+    }
+
+    const invalid = validatePlanFields({ name, cocktails, guestCount, drinksPerGuest });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const unavailable = await findUnavailableCocktails(pool, cocktails);
+    if (unavailable.length > 0) {
+      return res.status(400).json({ error: `Cocktail(s) introuvable(s) : ${unavailable.join(', ')}` });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO party_plans (name, cocktails, guest_count, drinks_per_guest, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [name.trim(), JSON.stringify(cocktails), guestCount, drinksPerGuest, req.user.id]);
+
+    await recordAudit(pool, req, {
+      action: 'plans.create',
+      targetType: 'plans',
+      targetId: result.rows[0].id,
+      after: result.rows[0],
+    });
+
+    console.log(`✅ Saved party plan: ${name}`);
+    res.status(201).json(toPlan(result.rows[0]));
+  } catch (error) {
+    console.error('Error POST /plans:', error.message);
+    res.status(500).json({ error: "Erreur lors de l'enregistrement du plan" });
+  }
+});
+
+/**
+ * GET /plans/:id
+ * A saved plan with its shopping list, recomputed from the current recipes and stock
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM party_plans WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plan non trouvé' });
+    }
+
+    const plan = result.rows[0];
+    res.json({
+      ...toPlan(plan),
+      shopping_list: await buildShoppingList(pool, planInput(plan)),
+    });
+  } catch (error) {
+    console.error('Error GET /plans/:id:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la récupération du plan' });
+  }
+});
+
+/**
+ * GET /plans/:id/shopping-list.csv
+ * The plan's shopping list as a CSV download
+ */
+router.get('/:id/shopping-list.csv', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM party_plans WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plan non trouvé' });
+    }
+
+    const plan = result.rows[0];
+    const list = await buildShoppingList(pool, planInput(plan));
+
+    res.attachment(`courses-plan-${plan.id}.csv`);
+    res.type('text/csv');
+    res.send(shoppingListToCsv(list));
+  } catch (error) {
+    console.error('Error GET /plans/:id/shopping-list.csv:', error.message);
+    res.status(500).json({ error: "Erreur lors de l'export de la liste de courses" });
+  }
+});
+
+/**
+ * PATCH /plans/:id
+ * Update a plan
+ * Body: any of { name, cocktails, guestCount, drinksPerGuest }
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name, cocktails, guestCount, drinksPerGuest } = req.body;
+
+    const invalid = validatePlanFields({ name, cocktails, guestCount, drinksPerGuest });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (cocktails !== undefined) {
+      const unavailable = await findUnavailableCocktails(pool, cocktails);
+      if (unavailable.length > 0) {
+        return res.status(400).json({ error: `Cocktail(s) introuvable(s) : ${unavailable.join(', ')}` });
+      }
+    }
+
+    const fields = {
+      name: name?.trim(),
+      cocktails: cocktails && JSON.stringify(cocktails),
+      guest_count: guestCount,
+      drinks_per_guest: drinksPerGuest,
+    };
+    const columns = Object.keys(fields).filter((column) => fields[column] !== undefined);
+
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
+    }
+
+    // Rows as JSON on both sides so the audit entry compares like with like
+    const result = await pool.query(`
+      UPDATE party_plans p
+      SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = NOW()
+      FROM (SELECT * FROM party_plans WHERE id = $${columns.length + 1} FOR UPDATE) previous
+      WHERE p.id = previous.id
+      RETURNING p.*, to_jsonb(previous) as previous_row, to_jsonb(p) as current_row
+    `, [...columns.map((column) => fields[column]), req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plan non trouvé' });
+    }
+
+    const { previous_row: previousRow, current_row: currentRow, ...plan } = result.rows[0];
+
+    await recordAudit(pool, req, {
+      action: 'plans.update',
+      targetType: 'plans',
+      targetId: plan.id,
+      ...changedFields(previousRow, currentRow),
+    });
+
+    console.log(`✅ Updated party plan: ${plan.name}`);
+    res.json(toPlan(plan));
+  } catch (error) {
+    console.error('Error PATCH /plans/:id:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du plan' });
+  }
+});
+
+/**
+ * DELETE /plans/:id
+ * Delete a plan
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM party_plans WHERE id = $1 RETURNING *', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Plan non trouvé' });
+    }
+
+    await recordAudit(pool, req, {
+      action: 'plans.delete',
+      targetType: 'plans',
+      targetId: result.rows[0].id,
+      before: result.rows[0],
+    });
+
+    console.log(`✅ Deleted party plan: ${result.rows[0].name}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error DELETE /plans/:id:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la suppression du plan' });
+  }
+});
+
+export default router;
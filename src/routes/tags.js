@@ -0,0 +1,198 @@
+// Tag routes (menu taxonomy: "tiki", "classique", "shots"...)
+import { Router } from 'express';
+import pool from '../db/pool.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { slugify } from '../services/taxonomy.js';
+import { recordAudit, changedFields } from '../services/audit.js';
+
+const router = Router();
+
+/**
+ * GET /tags
+ * List all tags with the number of cocktails carrying them
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        t.slug, t.name, t.created_at,
+        COUNT(c.id)::int as cocktail_count
+      FROM tags t
+      LEFT JOIN cocktails c ON c.tags @> jsonb_build_array(t.slug) AND c.archived_at IS NULL
+      GROUP BY t.slug
+      ORDER BY t.name ASC
+    `);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error GET /tags:', error.message);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+/**
+ * POST /tags
+ * Create a tag (admin only)
+ * Body: { name: string, slug?: string }
+ */
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const slug = req.body.slug || slugify(name);
+    if (!slug || slug !== slugify(slug)) {
+      return res.status(400).json({ error: 'slug must be lowercase kebab-case' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO tags (slug, name)
+      VALUES ($1, $2)
+      RETURNING *
+    `, [slug, name.trim()]);
+
+    await recordAudit(pool, req, {
+      action: 'tags.create',
+      targetType: 'tags',
+      targetId: slug,
+      after: result.rows[0],
+    });
+
+    console.log(`✅ Created tag: ${slug}`);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Tag already exists' });
+    }
+    console.error('Error POST /tags:', error.message);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+/**
+ * PATCH /tags/:slug
+ * Rename a tag (admin only), cocktails follow a slug change
+ * Body: { name?: string, slug?: string }
+ */
+router.patch('/:slug', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { name, slug: newSlug } = req.body;
+
+    if (name === undefined && newSlug === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+
+    if (newSlug !== undefined && (!newSlug || newSlug !== slugify(newSlug))) {
+      return res.status(400).json({ error: 'slug must be lowercase kebab-case' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM tags WHERE slug = $1 FOR UPDATE', [slug]);
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      const result = await client.query(`
+        UPDATE tags
+        SET name = COALESCE($1, name), slug = COALESCE($2, slug)
+        WHERE slug = $3
+        RETURNING *
+      `, [name ? name.trim() : null, newSlug || null, slug]);
+
+      if (newSlug && newSlug !== slug) {
+        await client.query(`
+          UPDATE cocktails
+          SET tags = (
+            SELECT jsonb_agg(CASE WHEN t = $1 THEN $2 ELSE t END)
+            FROM jsonb_array_elements_text(tags) t
+          )
+          WHERE tags @> jsonb_build_array($1::text)
+        `, [slug, newSlug]);
+      }
+
+      await recordAudit(client, req, {
+        action: 'tags.update',
+        targetType: 'tags',
+        targetId: slug,
+        ...changedFields(current.rows[0], result.rows[0]),
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Updated tag: ${result.rows[0].slug}`);
+      res.json(result.rows[0]);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Tag already exists' });
+    }
+    console.error('Error PATCH /tags/:slug:', error.message);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+/**
+ * DELETE /tags/:slug
+ * Delete a tag and remove it from every cocktail (admin only)
+ */
+router.delete('/:slug', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('DELETE FROM tags WHERE slug = $1 RETURNING *', [slug]);
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      const cocktails = await client.query(
+        'UPDATE cocktails SET tags = tags - $1::text WHERE tags @> jsonb_build_array($1::text)',
+        [slug]
+      );
+
+      await recordAudit(client, req, {
+        action: 'tags.delete',
+        targetType: 'tags',
+        targetId: slug,
+        before: result.rows[0],
+        after: { cocktails_updated: cocktails.rowCount },
+      });
+
+      await client.query('COMMIT');
+
+      console.log(`✅ Deleted tag: ${slug} (removed from ${cocktails.rowCount} cocktails)`);
+      res.json({ success: true, cocktailsUpdated: cocktails.rowCount });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error DELETE /tags/:slug:', error.message);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+export default router;
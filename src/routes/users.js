@@ -3,6 +3,9 @@ import { Router } from 'express';
 import bcrypt from 'bcrypt';
 import pool from '../db/pool.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getServingPolicy } from '../services/servingLimits.js';
+import { getConsumptionSummary } from '../services/alcohol.js';
+import { recordAudit, skipAudit } from '../services/audit.js';
 
 const router = Router();
 const BCRYPT_ROUNDS = 10;
@@ -82,9 +85,10 @@ router.patch('/:id', async (req, res) => {
     }
 
     const result = await pool.query(
-      `UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2
-       RETURNING id, username, email, role, updated_at`,
+      `UPDATE users u SET role = $1, updated_at = CURRENT_TIMESTAMP
+       FROM (SELECT id, role FROM users WHERE id = $2 FOR UPDATE) previous
+       WHERE u.id = previous.id
+       RETURNING u.id, u.username, u.email, u.role, u.updated_at, previous.role as previous_role`,
       [role, id]
     );
 
@@ -92,9 +96,19 @@ router.patch('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Utilisateur non trouvé' });
     }
 
-    console.log(`✅ User ${result.rows[0].username} role changed to ${role}`);
+    const { previous_role: previousRole, ...user } = result.rows[0];
 
-    res.json(result.rows[0]);
+    await recordAudit(pool, req, {
+      action: 'users.role',
+      targetType: 'users',
+      targetId: user.id,
+      before: { role: previousRole },
+      after: { role: user.role },
+    });
+
+    console.log(`✅ User ${user.username} role changed to ${role}`);
+
+    res.json(user);
   } catch (error) {
     console.error('Error PATCH /users/:id:', error.message);
     res.status(500).json({ error: 'Erreur lors de la mise à jour' });
@@ -117,7 +131,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     const result = await pool.query(
-      'DELETE FROM users WHERE id = $1 RETURNING username',
+      'DELETE FROM users WHERE id = $1 RETURNING id, username, email, role, created_at',
       [id]
     );
 
@@ -125,6 +139,13 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Utilisateur non trouvé' });
     }
 
+    await recordAudit(pool, req, {
+      action: 'users.delete',
+      targetType: 'users',
+      targetId: result.rows[0].id,
+      before: result.rows[0],
+    });
+
     console.log(`✅ User deleted: ${result.rows[0].username}`);
 
     res.json({ message: 'Utilisateur supprimé' });
@@ -155,7 +176,7 @@ router.post('/:id/reset-password', async (req, res) => {
     const result = await pool.query(
       `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
        WHERE id = $2
-       RETURNING username`,
+       RETURNING id, username`,
       [passwordHash, id]
     );
 
@@ -163,6 +184,14 @@ router.post('/:id/reset-password', async (req, res) => {
       return res.status(404).json({ error: 'Utilisateur non trouvé' });
     }
 
+    // The password itself is never logged
+    await recordAudit(pool, req, {
+      action: 'users.reset_password',
+      targetType: 'users',
+      targetId: result.rows[0].id,
+      after: { username: result.rows[0].username },
+    });
+
     console.log(`✅ Password reset for user: ${result.rows[0].username}`);
 
     res.json({ message: 'Mot de passe réinitialisé' });
@@ -172,4 +201,147 @@ router.post('/:id/reset-password', async (req, res) => {
   }
 });
 
+/**
+ * GET /users/:id/serving-limit
+ * Get a user's effective responsible-serving policy (admin only)
+ */
+router.get('/:id/serving-limit', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    res.json(await getServingPolicy(pool, id));
+  } catch (error) {
+    console.error('Error GET /users/:id/serving-limit:', error.message);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+/**
+ * GET /users/:id/consumption
+ * A user's drinks and standard drinks for the current bar session and the last N hours (admin only)
+ * Query params: ?hours=24 (1-168)
+ */
+router.get('/:id/consumption', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const hours = parseInt(req.query.hours || '24');
+    if (!(hours >= 1 && hours <= 168)) {
+      return res.status(400).json({ error: 'hours doit être compris entre 1 et 168' });
+    }
+
+    const user = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    res.json(await getConsumptionSummary(pool, id, hours));
+  } catch (error) {
+    console.error('Error GET /users/:id/consumption:', error.message);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+/**
+ * PUT /users/:id/serving-limit
+ * Override a user's responsible-serving policy (admin only)
+ * Body: { exempt?: boolean, maxDrinks?: number|null, windowMinutes?: number|null, cooldownMinutes?: number|null }
+ * null (or missing) values fall back to the server defaults; maxDrinks 0 allows no alcoholic drink
+ */
+router.put('/:id/serving-limit', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { exempt = false, maxDrinks = null, windowMinutes = null, cooldownMinutes = null } = req.body;
+
+    if (typeof exempt !== 'boolean') {
+      return res.status(400).json({ error: 'exempt doit être un booléen' });
+    }
+
+    const isValid = (value, min) => value === null || (Number.isInteger(value) && value >= min);
+    if (!isValid(maxDrinks, 0) || !isValid(windowMinutes, 1) || !isValid(cooldownMinutes, 0)) {
+      return res.status(400).json({
+        error: 'maxDrinks, windowMinutes et cooldownMinutes doivent être des entiers positifs ou null',
+      });
+    }
+
+    const user = await pool.query('SELECT username FROM users WHERE id = $1', [id]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    const previous = await pool.query(
+      `SELECT exempt, max_drinks, window_minutes, cooldown_minutes
+       FROM serving_limit_overrides WHERE user_id = $1`,
+      [id]
+    );
+
+    await pool.query(
+      `INSERT INTO serving_limit_overrides
+         (user_id, exempt, max_drinks, window_minutes, cooldown_minutes, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id) DO UPDATE SET
+         exempt = EXCLUDED.exempt,
+         max_drinks = EXCLUDED.max_drinks,
+         window_minutes = EXCLUDED.window_minutes,
+         cooldown_minutes = EXCLUDED.cooldown_minutes,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = CURRENT_TIMESTAMP`,
+      [id, exempt, maxDrinks, windowMinutes, cooldownMinutes, req.user.id]
+    );
+
+    await recordAudit(pool, req, {
+      action: 'users.serving_limit',
+      targetType: 'users',
+      targetId: id,
+      before: previous.rows[0] ?? null,
+      after: { exempt, max_drinks: maxDrinks, window_minutes: windowMinutes, cooldown_minutes: cooldownMinutes },
+    });
+
+    console.log(`✅ Serving limit override for user: ${user.rows[0].username}`);
+
+    res.json(await getServingPolicy(pool, id));
+  } catch (error) {
+    console.error('Error PUT /users/:id/serving-limit:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour' });
+  }
+});
+
+/**
+ * DELETE /users/:id/serving-limit
+ * Remove a user's override, back to server defaults (admin only)
+ */
+router.delete('/:id/serving-limit', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `DELETE FROM serving_limit_overrides WHERE user_id = $1
+       RETURNING exempt, max_drinks, window_minutes, cooldown_minutes`,
+      [id]
+    );
+
+    if (result.rows.length > 0) {
+      await recordAudit(pool, req, {
+        action: 'users.serving_limit',
+        targetType: 'users',
+        targetId: id,
+        before: result.rows[0],
+      });
+    } else {
+      // Nothing to remove, nothing changed
+      skipAudit(req);
+    }
+
+    res.json(await getServingPolicy(pool, id));
+  } catch (error) {
+    console.error('Error DELETE /users/:id/serving-limit:', error.message);
+    res.status(500).json({ error: 'Erreur lors de la suppression' });
+  }
+});
+
 export default router;
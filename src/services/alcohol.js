@@ -0,0 +1,131 @@
+// Alcohol content: approximate ABV and standard drinks from structured recipes
+import { getCurrentSession } from './barSession.js';
+
+// Water added by the ice, as a share of the undiluted volume
+export const DILUTION = {
+  shaken: 0.25,
+  stirred: 0.20,
+  built: 0.10,
+};
+const DEFAULT_DILUTION = DILUTION.built;
+
+const ETHANOL_DENSITY = 0.789; // g/ml
+const STANDARD_DRINK_GRAMS = parseFloat(process.env.STANDARD_DRINK_GRAMS || '10');
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Liquid and pure-alcohol volumes per cocktail, keyed by cocktail id
+ * Only ml/cl recipe lines count as liquid, "pieces" (mint, lime wedges...) don't
+ */
+async function getRecipeVolumes(db, cocktailIds) {
+  const result = await db.query(`
+    SELECT
+      c.id,
+      c.method,
+      SUM(CASE ci.unit WHEN 'ml' THEN ci.amount WHEN 'cl' THEN ci.amount * 10 ELSE 0 END) as liquid_ml,
+      SUM(CASE ci.unit WHEN 'ml' THEN ci.amount WHEN 'cl' THEN ci.amount * 10 ELSE 0 END
+          * ai.abv / 100) as alcohol_ml
+    FROM cocktails c
+    JOIN cocktail_ingredients ci ON ci.cocktail_id = c.id
+    JOIN available_ingredients ai ON ai.id = ci.ingredient_id
+    WHERE c.id = ANY($1)
+    GROUP BY c.id, c.method
+  `, [cocktailIds]);
+
+  return new Map(result.rows.map((row) => [row.id, row]));
+}
+
+/**
+ * Final ABV (after dilution) and standard drinks for one recipe
+ * Returns nulls when the recipe has no liquid lines
+ */
+function alcoholContent(volumes) {
+  const liquidMl = volumes ? parseFloat(volumes.liquid_ml) : 0;
+  if (!liquidMl) {
+    return { abv: null, standard_drinks: null };
+  }
+
+  const alcoholMl = parseFloat(volumes.alcohol_ml);
+  const dilution = DILUTION[volumes.method] ?? DEFAULT_DILUTION;
+
+  return {
+    abv: round1((alcoholMl / (liquidMl * (1 + dilution))) * 100),
+    standard_drinks: round1((alcoholMl * ETHANOL_DENSITY) / STANDARD_DRINK_GRAMS),
+  };
+}
+
+/**
+ * Attach abv and standard_drinks to a list of cocktails
+ * db: pool or transaction client
+ */
+export async function withAlcohol(db, cocktails) {
+  if (cocktails.length === 0) {
+    return cocktails;
+  }
+
+  const volumes = await getRecipeVolumes(db, cocktails.map((c) => c.id));
+  return cocktails.map((cocktail) => ({ ...cocktail, ...alcoholContent(volumes.get(cocktail.id)) }));
+}
+
+/**
+ * What a user ordered (cancelled orders excluded), since a date or within a bar session
+ * Standard drinks use the cocktails' current recipes (scaled by virgin/double modifiers),
+ * so they are an estimate
+ */
+export async function getConsumption(db, userId, { sessionId = null, since = null }) {
+  const result = await db.query(`
+    SELECT
+      oi.cocktail_id as id, c.name,
+      SUM(oi.quantity)::int as quantity,
+      SUM(oi.quantity * oi.alcohol_factor) as servings
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    JOIN cocktails c ON c.id = oi.cocktail_id
+    WHERE o.user_id = $1
+      AND o.status <> 'cancelled'
+      AND ($2::int IS NULL OR o.session_id = $2)
+      AND ($3::timestamptz IS NULL OR o.created_at >= $3)
+    GROUP BY oi.cocktail_id, c.name
+    ORDER BY quantity DESC, c.name ASC
+  `, [userId, sessionId, since]);
+
+  const cocktails = await withAlcohol(db, result.rows);
+  const standardDrinks = cocktails.reduce(
+    (total, c) => total + (c.standard_drinks || 0) * parseFloat(c.servings),
+    0
+  );
+
+  return {
+    drinks: cocktails.reduce((total, c) => total + c.quantity, 0),
+    standardDrinks: round1(standardDrinks),
+    alcoholGrams: Math.round(standardDrinks * STANDARD_DRINK_GRAMS),
+    cocktails: cocktails.map(({ id, name, quantity, standard_drinks }) => ({
+      id, name, quantity, standard_drinks,
+    })),
+  };
+}
+
+/**
+ * Consumption summary for the current bar session (null when closed) and the last `hours` hours
+ */
+export async function getConsumptionSummary(db, userId, hours) {
+  const session = await getCurrentSession(db);
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  return {
+    session: session
+      ? {
+        id: session.id,
+        name: session.name,
+        opened_at: session.opened_at,
+        ...await getConsumption(db, userId, { sessionId: session.id }),
+      }
+      : null,
+    lastHours: {
+      hours,
+      since: since.toISOString(),
+      ...await getConsumption(db, userId, { since }),
+    },
+  };
+}
@@ -0,0 +1,247 @@
+// Time-series analytics for the admin dashboard
+// Timestamps are stored without time zone (server time); everything is reported
+// in a local time zone, with "days" starting at DAY_START_HOUR so a party running
+// past midnight stays in one day.
+import { isIsoDate } from './dates.js';
+
+export const BUCKETS = ['hour', 'day', 'week'];
+export const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Europe/Paris';
+export const DAY_START_HOUR = Number(process.env.ANALYTICS_DAY_START_HOUR || '6'); // checked on startup
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_BUCKETS = 2000;
+const BUCKET_HOURS = { hour: 1, day: 24, week: 24 * 7 };
+
+// Query parameters shared by every analytics query:
+// $1 from, $2 to (timestamptz), $3 time zone, $4 day start hour, $5 bucket
+const localTime = (column) => `(${column}::timestamptz AT TIME ZONE $3)`;
+const bucketOf = (local) => `(CASE WHEN $5 = 'hour' THEN date_trunc('hour', ${local})
+  ELSE date_trunc($5, ${local} - make_interval(hours => $4)) + make_interval(hours => $4) END)`;
+const IN_RANGE = 'o.created_at >= $1::timestamptz AND o.created_at < $2::timestamptz';
+
+const ITEMS_SQL = `
+  SELECT order_id, SUM(quantity) as quantity
+  FROM order_items
+  GROUP BY order_id
+`;
+
+export const isTimeZone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate ?from, ?to, ?bucket, ?tz and ?dayStartHour
+ * Dates alone (2026-10-18) mean the local day, from DAY_START_HOUR; `to` days are included
+ * Date-times without an offset (2026-10-18T22:00) are local times in `tz` too
+ * Returns { range } (bounds still to resolve, see resolveRange) or { error }
+ */
+export function parseRange(query) {
+  const { from, to, bucket = 'day', tz = DEFAULT_TIMEZONE } = query;
+  const dayStartHour = query.dayStartHour === undefined ? DAY_START_HOUR : Number(query.dayStartHour);
+
+  if (!BUCKETS.includes(bucket)) {
+    return { error: `bucket doit être parmi : ${BUCKETS.join(', ')}` };
+  }
+
+  if (!isTimeZone(tz)) {
+    return { error: `Fuseau horaire inconnu : ${tz}` };
+  }
+
+  if (!Number.isInteger(dayStartHour) || dayStartHour < 0 || dayStartHour > 23) {
+    return { error: 'dayStartHour doit être un entier entre 0 et 23' };
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !isIsoDate(value)) {
+      return { error: `${name} doit être une date (2026-10-18) ou une date et heure ISO` };
+    }
+  }
+
+  return { range: { from, to, bucket, timezone: tz, dayStartHour } };
+}
+
+/**
+ * Turn the parsed range into absolute bounds (local dates are resolved by PostgreSQL)
+ * Defaults: the last DEFAULT_RANGE_DAYS days up to now
+ * Returns { range } with from/to as Dates, or { error }
+ */
+export async function resolveRange(db, range) {
+  const bound = (index, inclusiveDay) => `CASE
+    WHEN $${index}::text IS NULL THEN NULL
+    WHEN $${index}::text ~ '^\\d{4}-\\d{2}-\\d{2}$'
+      THEN ($${index}::date + ${inclusiveDay ? 1 : 0} + make_interval(hours => $4))::timestamp AT TIME ZONE $3
+    WHEN $${index}::text ~ '(Z|[+-]\\d{2}:?\\d{2})$' THEN $${index}::timestamptz
+    ELSE $${index}::timestamp AT TIME ZONE $3
+  END`;
+
+  const result = await db.query(
+    `SELECT ${bound(1, false)} as from, ${bound(2, true)} as to`,
+    [range.from ?? null, range.to ?? null, range.timezone, range.dayStartHour]
+  );
+
+  const to = result.rows[0].to || new Date();
+  const from = result.rows[0].from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 3600 * 1000);
+
+  if (from >= to) {
+    return { error: 'from doit être avant to' };
+  }
+
+  if ((to - from) / (BUCKET_HOURS[range.bucket] * 3600 * 1000) > MAX_BUCKETS) {
+    return { error: `Période trop longue pour des tranches "${range.bucket}" (${MAX_BUCKETS} maximum)` };
+  }
+
+  return { range: { ...range, from, to } };
+}
+
+// The first `count` query parameters (see above)
+const params = (range, count = 5) => [range.from, range.to, range.timezone, range.dayStartHour, range.bucket]
+  .slice(0, count);
+
+/**
+ * Orders and drinks per bucket, empty buckets included
+ */
+export async function getOrderTimeline(db, range) {
+  const result = await db.query(`
+    WITH buckets AS (
+      SELECT generate_series(
+        ${bucketOf('($1::timestamptz AT TIME ZONE $3)')},
+        ${bucketOf("(($2::timestamptz - interval '1 microsecond') AT TIME ZONE $3)")},
+        ('1 ' || $5)::interval
+      ) as local_start
+    ),
+    bucketed AS (
+      SELECT ${bucketOf(localTime('o.created_at'))} as local_start, o.id, o.status, i.quantity
+      FROM orders o
+      LEFT JOIN (${ITEMS_SQL}) i ON i.order_id = o.id
+      WHERE ${IN_RANGE}
+    )
+    SELECT
+      b.local_start AT TIME ZONE $3 as start,
+      to_char(b.local_start, 'YYYY-MM-DD HH24:MI') as label,
+      COUNT(o.id)::int as orders,
+      COALESCE(SUM(o.quantity) FILTER (WHERE o.status <> 'cancelled'), 0)::int as drinks,
+      COUNT(o.id) FILTER (WHERE o.status = 'cancelled')::int as cancelled
+    FROM buckets b
+    LEFT JOIN bucketed o ON o.local_start = b.local_start
+    GROUP BY b.local_start
+    ORDER BY b.local_start
+  `, params(range));
+
+  return result.rows;
+}
+
+/**
+ * Orders, drinks and cancellations per cocktail
+ */
+export async function getCocktailBreakdown(db, range) {
+  const result = await db.query(`
+    SELECT
+      oi.cocktail_id,
+      c.name,
+      COUNT(DISTINCT o.id)::int as orders,
+      COALESCE(SUM(oi.quantity) FILTER (WHERE o.status <> 'cancelled'), 0)::int as drinks,
+      COALESCE(SUM(oi.quantity) FILTER (WHERE o.status = 'cancelled'), 0)::int as cancelled_drinks
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    JOIN cocktails c ON c.id = oi.cocktail_id
+    WHERE ${IN_RANGE}
+    GROUP BY oi.cocktail_id, c.name
+    ORDER BY drinks DESC, c.name ASC
+  `, params(range, 2));
+
+  return result.rows;
+}
+
+/**
+ * Orders, drinks and cancellations per user
+ */
+export async function getUserBreakdown(db, range) {
+  const result = await db.query(`
+    SELECT
+      o.user_id,
+      u.username,
+      COUNT(*)::int as orders,
+      COALESCE(SUM(i.quantity) FILTER (WHERE o.status <> 'cancelled'), 0)::int as drinks,
+      COUNT(*) FILTER (WHERE o.status = 'cancelled')::int as cancelled,
+      MAX(o.created_at)::timestamptz as last_order_at
+    FROM orders o
+    LEFT JOIN users u ON u.id = o.user_id
+    LEFT JOIN (${ITEMS_SQL}) i ON i.order_id = o.id
+    WHERE ${IN_RANGE}
+    GROUP BY o.user_id, u.username
+    ORDER BY drinks DESC, orders DESC
+  `, params(range, 2));
+
+  return result.rows;
+}
+
+/**
+ * Totals, cancellation rate and timings
+ * Preparation: preparing → ready; lead time: created → ready (queue included, as for ETAs)
+ */
+export async function getSummary(db, range) {
+  const result = await db.query(`
+    WITH scoped AS (
+      SELECT
+        o.id, o.status, o.user_id, i.quantity,
+        o.created_at,
+        (SELECT MIN(h.changed_at) FROM order_status_history h
+         WHERE h.order_id = o.id AND h.to_status = 'preparing') as preparing_at,
+        COALESCE(
+          (SELECT MIN(h.changed_at) FROM order_status_history h
+           WHERE h.order_id = o.id AND h.to_status IN ('ready', 'completed')),
+          o.completed_at
+        ) as ready_at
+      FROM orders o
+      LEFT JOIN (${ITEMS_SQL}) i ON i.order_id = o.id
+      WHERE ${IN_RANGE}
+    )
+    SELECT
+      COUNT(*)::int as orders,
+      COALESCE(SUM(quantity) FILTER (WHERE status <> 'cancelled'), 0)::int as drinks,
+      COUNT(*) FILTER (WHERE status = 'cancelled')::int as cancelled,
+      COUNT(DISTINCT user_id)::int as guests,
+      AVG(EXTRACT(EPOCH FROM (ready_at - preparing_at))) FILTER (WHERE ready_at > preparing_at)
+        as avg_preparation_seconds,
+      AVG(EXTRACT(EPOCH FROM (ready_at - created_at))) FILTER (WHERE ready_at > created_at)
+        as avg_lead_seconds
+    FROM scoped
+  `, params(range, 2));
+
+  const row = result.rows[0];
+  const seconds = (value) => (value === null ? null : Math.round(parseFloat(value)));
+
+  return {
+    orders: row.orders,
+    drinks: row.drinks,
+    cancelled: row.cancelled,
+    cancellation_rate: row.orders > 0 ? Math.round((row.cancelled / row.orders) * 1000) / 1000 : null,
+    guests: row.guests,
+    avg_preparation_seconds: seconds(row.avg_preparation_seconds),
+    avg_lead_seconds: seconds(row.avg_lead_seconds),
+  };
+}
+
+/**
+ * Orders and drinks by local hour of day (0-23), busiest first
+ */
+export async function getPeakHours(db, range) {
+  const result = await db.query(`
+    SELECT
+      EXTRACT(HOUR FROM ${localTime('o.created_at')})::int as hour,
+      COUNT(*)::int as orders,
+      COALESCE(SUM(i.quantity), 0)::int as drinks
+    FROM orders o
+    LEFT JOIN (${ITEMS_SQL}) i ON i.order_id = o.id
+    WHERE ${IN_RANGE} AND o.status <> 'cancelled'
+    GROUP BY hour
+    ORDER BY drinks DESC, hour ASC
+  `, params(range, 3));
+
+  return result.rows;
+}
@@ -0,0 +1,174 @@
+// Audit trail of admin writes: who changed what, from where, with before/after values.
+// Admin write routes record their own entry (recordAudit) with the previous and new state;
+// a route that doesn't still gets a generic entry with the request body (auditAdminWrite).
+import { isIsoDate } from './dates.js';
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Never stored, whether they come from a request body or a table row
+const SECRET_FIELDS = ['password', 'newPassword', 'currentPassword', 'password_hash', 'token', 'reset_token'];
+// Larger bodies (catalog imports) are summarized instead of copied
+const MAX_BODY_LENGTH = 10000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => (
+    [key, SECRET_FIELDS.includes(key) ? '[redacted]' : redact(field)]
+  )));
+};
+
+const toJson = (value) => (value === null || value === undefined ? null : JSON.stringify(redact(value)));
+
+/**
+ * Keep only the fields that differ between two versions of a row
+ * Returns { before, after }
+ */
+export function changedFields(before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+  return {
+    before: Object.fromEntries(keys.map((key) => [key, before[key] ?? null])),
+    after: Object.fromEntries(keys.map((key) => [key, after[key] ?? null])),
+  };
+}
+
+/**
+ * Write an audit entry for the request's user
+ * Pass the transaction client when there is one, so the entry commits (or not) with the change
+ */
+export async function recordAudit(db, req, { action, targetType = null, targetId = null, before = null, after = null }) {
+  req.audited = true;
+
+  await db.query(`
+    INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, before, after, ip)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    req.user?.id ?? null,
+    req.user?.username ?? null,
+    action,
+    targetType,
+    targetId === null ? null : String(targetId),
+    toJson(before),
+    toJson(after),
+    req.ip ?? null,
+  ]);
+}
+
+/**
+ * Leave a request out of the audit log: POST routes that only read (previews, dry runs)
+ */
+export function skipAudit(req) {
+  req.audited = true;
+}
+
+/**
+ * Generic entry for a successful admin write the route didn't record itself
+ * Action is the route ("PATCH /tags/:slug"), target the router and the route's first parameter
+ */
+export function auditAdminWrite(db, req, res) {
+  if (!WRITE_METHODS.includes(req.method)) {
+    return;
+  }
+
+  res.on('finish', () => {
+    if (req.audited || res.statusCode >= 400) {
+      return;
+    }
+
+    const route = req.route?.path === '/' ? '' : req.route?.path ?? '';
+    const body = req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : null;
+
+    recordAudit(db, req, {
+      action: `${req.method} ${req.baseUrl}${route}`,
+      targetType: req.baseUrl.slice(1) || null,
+      targetId: Object.values(req.params)[0] ?? null,
+      after: body && body.length > MAX_BODY_LENGTH ? { body_length: body.length } : req.body,
+    }).catch((error) => {
+      console.error('❌ Audit entry failed:', error.message);
+    });
+  });
+}
+
+/**
+ * Validate ?actorId, ?action, ?targetType, ?targetId, ?from, ?to (ISO dates), ?page and ?limit
+ * Returns { filters } or { error }
+ */
+export function parseAuditFilters({ actorId, action, targetType, targetId, from, to, page = '1', limit }) {
+  const actor = actorId === undefined ? null : Number(actorId);
+  if (actor !== null && !Number.isInteger(actor)) {
+    return { error: 'actorId doit être un entier' };
+  }
+
+  for (const [name, value] of Object.entries({ action, targetType, targetId })) {
+    if (value !== undefined && typeof value !== 'string') {
+      return { error: `${name} doit être un texte` };
+    }
+  }
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !isIsoDate(value)) {
+      return { error: `${name} doit être une date ISO (2026-10-18 ou 2026-10-18T22:00:00Z)` };
+    }
+  }
+
+  const pageNumber = Number(page);
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { error: 'page doit être un entier positif' };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `limit doit être un entier entre 1 et ${MAX_PAGE_SIZE}` };
+  }
+
+  return {
+    filters: {
+      actorId: actor,
+      action: action ?? null,
+      targetType: targetType ?? null,
+      targetId: targetId ?? null,
+      from: from ?? null,
+      to: to ?? null,
+      page: pageNumber,
+      limit: pageSize,
+    },
+  };
+}
+
+/**
+ * One page of audit entries matching the filters, latest first
+ * `action` matches exactly, or by prefix when it ends with "*" ("users.*")
+ * Returns { entries, page, limit, total }
+ */
+export async function listAuditEntries(db, { actorId, action, targetType, targetId, from, to, page, limit }) {
+  const actionPattern = action === null
+    ? null
+    : action.replace(/[\\%_]/g, '\\$&').replace(/\*$/, '%');
+
+  const where = `
+    WHERE ($1::int IS NULL OR actor_id = $1)
+      AND ($2::text IS NULL OR action LIKE $2)
+      AND ($3::text IS NULL OR target_type = $3)
+      AND ($4::text IS NULL OR target_id = $4)
+      AND ($5::timestamptz IS NULL OR created_at >= $5::timestamptz)
+      AND ($6::timestamptz IS NULL OR created_at < $6::timestamptz)
+  `;
+  const params = [actorId, actionPattern, targetType, targetId, from, to];
+
+  const count = await db.query(`SELECT COUNT(*)::int as total FROM audit_log ${where}`, params);
+  const result = await db.query(`
+    SELECT id, created_at, actor_id, actor_username, action, target_type, target_id, before, after, ip
+    FROM audit_log
+    ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT $7 OFFSET $8
+  `, [...params, limit, (page - 1) * limit]);
+
+  return { entries: result.rows, page, limit, total: count.rows[0].total };
+}
@@ -0,0 +1,36 @@
+// Bar sessions ("events"): orders are only accepted while the bar is open
+
+/**
+ * Current open bar session, or null when the bar is closed
+ * A session past its planned end time counts as closed
+ */
+export async function getCurrentSession(db) {
+  const result = await db.query(`
+    SELECT *
+    FROM bar_sessions
+    WHERE closed_at IS NULL
+      AND (closes_at IS NULL OR closes_at > NOW())
+    ORDER BY opened_at DESC
+    LIMIT 1
+  `);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Close sessions whose planned end time has passed
+ */
+export async function closeExpiredSessions(db) {
+  await db.query(`
+    UPDATE bar_sessions
+    SET closed_at = closes_at
+    WHERE closed_at IS NULL AND closes_at <= NOW()
+  `);
+}
+
+/**
+ * Check whether a cocktail is on the session menu (no menu = everything)
+ */
+export function isOnMenu(session, cocktailId) {
+  return !Array.isArray(session.menu) || session.menu.includes(cocktailId);
+}
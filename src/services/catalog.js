@@ -0,0 +1,611 @@
+// Menu catalog import/export: ingredients (with stock), tags, categories, cocktails and recipes
+// as one portable document. Ingredients are referenced by name, since ids differ between bars.
+import { STOCK_UNITS, RECIPE_UNITS, recordMovement, refreshStockStatus } from './inventory.js';
+import { validateRecipeFields, saveRecipeIngredients } from './recipe.js';
+import { slugify } from './taxonomy.js';
+import { toCsv, parseCsv } from './csv.js';
+
+export const CATALOG_VERSION = 1;
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// Placeholder cocktail for anonymized orders, never exported or archived (see schema.js)
+const DELETED_COCKTAIL_ID = '_deleted';
+
+const INGREDIENT_FIELDS = ['in_stock', 'quantity', 'unit', 'bottle_size_ml', 'abv', 'pack_size'];
+const COCKTAIL_FIELDS = [
+  'name', 'image', 'alcohol_free', 'description', 'method', 'glass', 'garnish',
+  'steps', 'spirit_base', 'tags', 'category',
+];
+const JSON_COLUMNS = ['steps', 'tags'];
+
+// CSV layout, one file per section; list cells are joined with "|", steps with new lines
+export const CSV_FILES = {
+  ingredients: ['name', 'in_stock', 'quantity', 'unit', 'bottle_size_ml', 'abv', 'pack_size'],
+  cocktails: [
+    'id', 'name', 'image', 'alcohol_free', 'description', 'method', 'glass', 'garnish',
+    'steps', 'spirit_base', 'tags', 'category', 'archived', 'ingredients',
+  ],
+  recipes: ['cocktail_id', 'ingredient', 'amount', 'unit'],
+};
+
+/**
+ * Build the catalog document
+ */
+export async function exportCatalog(db) {
+  const [ingredients, tags, categories, cocktails, recipes] = await Promise.all([
+    db.query(`
+      SELECT name, in_stock, quantity::float, unit, bottle_size_ml::float, abv::float, pack_size::float
+      FROM available_ingredients
+      ORDER BY name ASC
+    `),
+    db.query('SELECT slug, name FROM tags ORDER BY slug ASC'),
+    db.query('SELECT slug, name, position FROM categories ORDER BY position ASC, slug ASC'),
+    db.query(`
+      SELECT
+        id, name, image, alcohol_free, description, method, glass, garnish,
+        steps, spirit_base, tags, category, archived_at IS NOT NULL as archived, ingredients
+      FROM cocktails
+      WHERE id <> $1
+      ORDER BY id ASC
+    `, [DELETED_COCKTAIL_ID]),
+    db.query(`
+      SELECT ci.cocktail_id, ai.name as ingredient, ci.amount::float as amount, ci.unit
+      FROM cocktail_ingredients ci
+      JOIN available_ingredients ai ON ai.id = ci.ingredient_id
+      ORDER BY ci.cocktail_id, ci.position
+    `),
+  ]);
+
+  return {
+    version: CATALOG_VERSION,
+    exported_at: new Date().toISOString(),
+    ingredients: ingredients.rows,
+    tags: tags.rows,
+    categories: categories.rows,
+    cocktails: cocktails.rows.map((cocktail) => ({
+      ...cocktail,
+      recipe: recipes.rows
+        .filter((line) => line.cocktail_id === cocktail.id)
+        .map(({ ingredient, amount, unit }) => ({ ingredient, amount, unit })),
+    })),
+  };
+}
+
+/**
+ * One section of the catalog as CSV (file: ingredients, cocktails or recipes)
+ */
+export function catalogToCsv(catalog, file) {
+  if (file === 'recipes') {
+    const lines = catalog.cocktails.flatMap((cocktail) => cocktail.recipe
+      .map((line) => ({ cocktail_id: cocktail.id, ...line })));
+    return toCsv(lines, CSV_FILES.recipes);
+  }
+
+  if (file === 'cocktails') {
+    const rows = catalog.cocktails.map((cocktail) => ({
+      ...cocktail,
+      steps: cocktail.steps.join('\n'),
+      tags: cocktail.tags.join('|'),
+      ingredients: cocktail.ingredients.join('|'),
+    }));
+    return toCsv(rows, CSV_FILES.cocktails);
+  }
+
+  return toCsv(catalog.ingredients, CSV_FILES.ingredients);
+}
+
+/**
+ * Rebuild a catalog document from CSV files ({ ingredients?, cocktails?, recipes? } texts)
+ * Values are converted back to booleans/numbers/lists; validateCatalog checks them afterwards
+ * Returns { catalog } or { error }
+ */
+export function catalogFromCsv(files) {
+  // Columns missing from the file stay undefined (left unchanged), empty cells are null
+  // Anything else than true/false/1/0 is left as text for validateCatalog to reject
+  const BOOLEANS = { true: true, 1: true, false: false, 0: false };
+  const toBoolean = (value) => (value == null ? undefined : BOOLEANS[value.trim().toLowerCase()] ?? value);
+  const toNumber = (value) => (value == null ? value : Number(value));
+  const toList = (value, separator) => {
+    if (value == null) {
+      return value === null ? [] : undefined;
+    }
+    return value.split(separator).map((v) => v.trim()).filter(Boolean);
+  };
+
+  const parsed = {};
+  for (const file of Object.keys(CSV_FILES)) {
+    if (files[file] === undefined) {
+      continue;
+    }
+    if (typeof files[file] !== 'string') {
+      return { error: `csv.${file} must be the CSV file content` };
+    }
+    const { rows, error } = parseCsv(files[file]);
+    if (error) {
+      return { error: `${file}.csv: ${error}` };
+    }
+    parsed[file] = rows;
+  }
+
+  const catalog = { version: CATALOG_VERSION };
+
+  if (parsed.ingredients) {
+    catalog.ingredients = parsed.ingredients.map((row) => ({
+      name: row.name,
+      in_stock: toBoolean(row.in_stock),
+      quantity: toNumber(row.quantity),
+      unit: row.unit,
+      bottle_size_ml: toNumber(row.bottle_size_ml),
+      abv: row.abv == null ? undefined : Number(row.abv),
+      pack_size: toNumber(row.pack_size),
+    }));
+  }
+
+  if (parsed.cocktails) {
+    catalog.cocktails = parsed.cocktails.map((row) => ({
+      ...row,
+      alcohol_free: toBoolean(row.alcohol_free),
+      archived: toBoolean(row.archived),
+      steps: toList(row.steps, /\r?\n/),
+      tags: toList(row.tags, '|'),
+      ingredients: toList(row.ingredients, '|'),
+      recipe: parsed.recipes
+        ? parsed.recipes
+          .filter((line) => line.cocktail_id === row.id)
+          .map((line) => ({ ingredient: line.ingredient, amount: toNumber(line.amount), unit: line.unit }))
+        : undefined,
+    }));
+  } else if (parsed.recipes) {
+    return { error: 'recipes.csv needs cocktails.csv' };
+  }
+
+  return { catalog };
+}
+
+/**
+ * Validate a catalog document before import
+ * Returns an error message (with the offending row), or null when valid
+ */
+export function validateCatalog(catalog) {
+  if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+    return 'The catalog must be a JSON object';
+  }
+
+  if (catalog.version !== undefined && catalog.version !== CATALOG_VERSION) {
+    return `Unsupported catalog version: ${catalog.version}`;
+  }
+
+  for (const section of ['ingredients', 'tags', 'categories', 'cocktails']) {
+    if (catalog[section] !== undefined && !Array.isArray(catalog[section])) {
+      return `${section} must be an array`;
+    }
+  }
+
+  const isNumber = (value, min) => typeof value === 'number' && Number.isFinite(value) && value >= min;
+  const seen = new Set();
+
+  for (const [index, ingredient] of (catalog.ingredients || []).entries()) {
+    const where = `ingredients[${index}]`;
+    if (typeof ingredient?.name !== 'string' || !ingredient.name.trim()) {
+      return `${where}: name is required`;
+    }
+    const key = ingredient.name.trim().toLowerCase();
+    if (seen.has(key)) {
+      return `${where}: duplicate ingredient ${ingredient.name}`;
+    }
+    seen.add(key);
+
+    if (ingredient.in_stock !== undefined && typeof ingredient.in_stock !== 'boolean') {
+      return `${where} (${ingredient.name}): in_stock must be a boolean`;
+    }
+    if (ingredient.unit !== undefined && ingredient.unit !== null && !STOCK_UNITS.includes(ingredient.unit)) {
+      return `${where} (${ingredient.name}): unit must be one of: ${STOCK_UNITS.join(', ')}`;
+    }
+    if (ingredient.quantity !== undefined && ingredient.quantity !== null) {
+      if (!isNumber(ingredient.quantity, 0)) {
+        return `${where} (${ingredient.name}): quantity must be a positive number`;
+      }
+      if (!ingredient.unit) {
+        return `${where} (${ingredient.name}): a quantity needs a unit`;
+      }
+    }
+    for (const size of ['bottle_size_ml', 'pack_size']) {
+      if (ingredient[size] !== undefined && ingredient[size] !== null
+        && !(isNumber(ingredient[size], 0) && ingredient[size] > 0)) {
+        return `${where} (${ingredient.name}): ${size} must be a positive number`;
+      }
+    }
+    if (ingredient.abv !== undefined && !(isNumber(ingredient.abv, 0) && ingredient.abv <= 100)) {
+      return `${where} (${ingredient.name}): abv must be a number between 0 and 100`;
+    }
+  }
+
+  for (const section of ['tags', 'categories']) {
+    const slugs = new Set();
+    for (const [index, entry] of (catalog[section] || []).entries()) {
+      const where = `${section}[${index}]`;
+      if (typeof entry?.slug !== 'string' || !entry.slug || entry.slug !== slugify(entry.slug)) {
+        return `${where}: slug must be lowercase kebab-case`;
+      }
+      if (slugs.has(entry.slug)) {
+        return `${where}: duplicate slug ${entry.slug}`;
+      }
+      slugs.add(entry.slug);
+      if (typeof entry.name !== 'string' || !entry.name.trim()) {
+        return `${where} (${entry.slug}): name is required`;
+      }
+      if (entry.position !== undefined && !Number.isInteger(entry.position)) {
+        return `${where} (${entry.slug}): position must be an integer`;
+      }
+    }
+  }
+
+  const ids = new Set();
+  for (const [index, cocktail] of (catalog.cocktails || []).entries()) {
+    const where = `cocktails[${index}]`;
+    // Existing ids are taken as exported; new ones must be slugs (checked by importCocktails)
+    if (typeof cocktail?.id !== 'string' || !cocktail.id.trim()) {
+      return `${where}: id is required`;
+    }
+    if (ids.has(cocktail.id)) {
+      return `${where}: duplicate cocktail ${cocktail.id}`;
+    }
+    ids.add(cocktail.id);
+
+    const label = `${where} (${cocktail.id})`;
+    if (typeof cocktail.name !== 'string' || !cocktail.name.trim()) {
+      return `${label}: name is required`;
+    }
+    for (const flag of ['alcohol_free', 'archived']) {
+      if (cocktail[flag] !== undefined && typeof cocktail[flag] !== 'boolean') {
+        return `${label}: ${flag} must be a boolean`;
+      }
+    }
+    if (cocktail.image !== undefined && cocktail.image !== null && typeof cocktail.image !== 'string') {
+      return `${label}: image must be a string`;
+    }
+    if (cocktail.category !== undefined && cocktail.category !== null
+      && (typeof cocktail.category !== 'string' || cocktail.category !== slugify(cocktail.category))) {
+      return `${label}: category must be a category slug`;
+    }
+
+    const invalid = validateRecipeFields(cocktail);
+    if (invalid) {
+      return `${label}: ${invalid}`;
+    }
+
+    if (cocktail.ingredients !== undefined
+      && (!Array.isArray(cocktail.ingredients) || !cocktail.ingredients.every((name) => typeof name === 'string'))) {
+      return `${label}: ingredients must be an array of ingredient names`;
+    }
+
+    if (cocktail.recipe !== undefined) {
+      if (!Array.isArray(cocktail.recipe)) {
+        return `${label}: recipe must be an array`;
+      }
+      const names = new Set();
+      for (const line of cocktail.recipe) {
+        if (typeof line?.ingredient !== 'string' || !isNumber(line.amount, 0) || !(line.amount > 0)
+          || !RECIPE_UNITS.includes(line.unit)) {
+          return `${label}: recipe lines need an ingredient name, a positive amount and a unit (${RECIPE_UNITS.join(', ')})`;
+        }
+        if (names.has(line.ingredient.toLowerCase())) {
+          return `${label}: duplicate ingredient ${line.ingredient} in recipe`;
+        }
+        names.add(line.ingredient.toLowerCase());
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compare the provided fields of an incoming row with the stored one
+ */
+function hasChanges(existing, incoming, fields) {
+  const normalize = (value) => {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    return typeof value === 'string' && value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  };
+
+  return fields.some((field) => incoming[field] !== undefined
+    && JSON.stringify(normalize(existing[field])) !== JSON.stringify(normalize(incoming[field])));
+}
+
+/**
+ * Upsert ingredients by name (case-insensitive); quantity changes are recorded as stock movements
+ */
+async function importIngredients(db, ingredients, userId, changes) {
+  const existing = await db.query('SELECT * FROM available_ingredients');
+  const byName = new Map(existing.rows.map((row) => [row.name.toLowerCase(), row]));
+  const restocked = [];
+
+  for (const ingredient of ingredients) {
+    const name = ingredient.name.trim();
+    const current = byName.get(name.toLowerCase());
+
+    const values = Object.fromEntries(INGREDIENT_FIELDS
+      .filter((field) => ingredient[field] !== undefined)
+      .map((field) => [field, ingredient[field]]));
+
+    let row;
+    if (!current) {
+      const columns = ['name', ...Object.keys(values)];
+      const result = await db.query(`
+        INSERT INTO available_ingredients (${columns.join(', ')})
+        VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING *
+      `, [name, ...Object.values(values)]);
+      row = result.rows[0];
+      changes.ingredients.created.push(name);
+    } else if (hasChanges(current, ingredient, INGREDIENT_FIELDS)) {
+      const columns = Object.keys(values);
+      const result = await db.query(`
+        UPDATE available_ingredients
+        SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+        WHERE id = $${columns.length + 1}
+        RETURNING *
+      `, [...Object.values(values), current.id]);
+      row = result.rows[0];
+      changes.ingredients.updated.push(current.name);
+    } else {
+      continue;
+    }
+
+    const before = current?.quantity === null || current?.quantity === undefined ? 0 : parseFloat(current.quantity);
+    if (row.quantity !== null && parseFloat(row.quantity) !== before) {
+      await recordMovement(db, {
+        ingredientId: row.id,
+        delta: parseFloat(row.quantity) - before,
+        unit: row.unit,
+        reason: 'import',
+        userId,
+      });
+      if (ingredient.in_stock === undefined) {
+        restocked.push(row.id);
+      }
+    }
+  }
+
+  // Stock given without an explicit in_stock: derive it like a restock would
+  await refreshStockStatus(db, restocked);
+}
+
+/**
+ * Upsert tags or categories by slug
+ */
+async function importTaxonomy(db, table, entries, changes) {
+  const existing = await db.query(`SELECT * FROM ${table}`);
+  const bySlug = new Map(existing.rows.map((row) => [row.slug, row]));
+  const fields = table === 'categories' ? ['name', 'position'] : ['name'];
+
+  for (const entry of entries) {
+    const current = bySlug.get(entry.slug);
+    const values = fields.map((field) => (field === 'name' ? entry.name.trim() : entry[field] ?? current?.[field] ?? 0));
+
+    if (!current) {
+      await db.query(
+        `INSERT INTO ${table} (slug, ${fields.join(', ')}) VALUES ($1, ${fields.map((_, i) => `$${i + 2}`).join(', ')})`,
+        [entry.slug, ...values]
+      );
+      changes[table].created.push(entry.slug);
+    } else if (hasChanges(current, entry, fields)) {
+      await db.query(
+        `UPDATE ${table} SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')} WHERE slug = $1`,
+        [entry.slug, ...values]
+      );
+      changes[table].updated.push(entry.slug);
+    }
+  }
+}
+
+/**
+ * Upsert cocktails by id with their recipes (an empty recipe clears the measured one)
+ * Returns an error message when a new id isn't a slug or a recipe names an unknown ingredient
+ */
+async function importCocktails(db, cocktails, changes) {
+  const ingredients = await db.query('SELECT id, name FROM available_ingredients');
+  const ingredientIds = new Map(ingredients.rows.map((row) => [row.name.toLowerCase(), row.id]));
+
+  const existing = await db.query('SELECT * FROM cocktails');
+  const byId = new Map(existing.rows.map((row) => [row.id, row]));
+
+  const recipes = await db.query(`
+    SELECT ci.cocktail_id, ai.name as ingredient, ci.amount::float as amount, ci.unit
+    FROM cocktail_ingredients ci
+    JOIN available_ingredients ai ON ai.id = ci.ingredient_id
+    ORDER BY ci.cocktail_id, ci.position
+  `);
+
+  for (const cocktail of cocktails) {
+    if (cocktail.id === DELETED_COCKTAIL_ID) {
+      continue;
+    }
+
+    const current = byId.get(cocktail.id);
+    if (!current && cocktail.id !== slugify(cocktail.id)) {
+      return `${cocktail.id}: new cocktail ids must be lowercase kebab-case`;
+    }
+
+    let lines = null;
+    if (cocktail.recipe !== undefined) {
+      lines = [];
+      for (const line of cocktail.recipe) {
+        const ingredientId = ingredientIds.get(line.ingredient.trim().toLowerCase());
+        if (!ingredientId) {
+          return `${cocktail.id}: unknown ingredient ${line.ingredient}`;
+        }
+        lines.push({ ingredientId, amount: line.amount, unit: line.unit });
+      }
+    }
+
+    const fields = COCKTAIL_FIELDS.filter((field) => cocktail[field] !== undefined);
+    const values = fields.map((field) => (JSON_COLUMNS.includes(field) ? JSON.stringify(cocktail[field]) : cocktail[field]));
+
+    const currentRecipe = recipes.rows
+      .filter((line) => line.cocktail_id === cocktail.id)
+      .map(({ ingredient, amount, unit }) => ({ ingredient, amount, unit }));
+    const recipeChanged = lines !== null && JSON.stringify(currentRecipe) !== JSON.stringify(
+      cocktail.recipe.map(({ ingredient, amount, unit }) => ({ ingredient, amount, unit }))
+    );
+    const measured = lines === null ? currentRecipe.length > 0 : lines.length > 0;
+    const namesChanged = !measured && cocktail.ingredients !== undefined
+      && JSON.stringify(current?.ingredients ?? []) !== JSON.stringify(cocktail.ingredients);
+    const archiveChanged = cocktail.archived !== undefined && cocktail.archived !== (current?.archived_at != null);
+
+    if (!current) {
+      await db.query(`
+        INSERT INTO cocktails (id, ingredients, available, ${fields.join(', ')})
+        VALUES ($1, '[]', true, ${fields.map((_, i) => `$${i + 2}`).join(', ')})
+      `, [cocktail.id, ...values]);
+      changes.cocktails.created.push(cocktail.id);
+    } else if (hasChanges(current, cocktail, COCKTAIL_FIELDS) || recipeChanged || namesChanged || archiveChanged) {
+      if (fields.length > 0) {
+        await db.query(`
+          UPDATE cocktails
+          SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+          WHERE id = $1
+        `, [cocktail.id, ...values]);
+      }
+      changes.cocktails.updated.push(cocktail.id);
+    } else {
+      continue;
+    }
+
+    if (cocktail.archived !== undefined) {
+      await db.query(
+        'UPDATE cocktails SET archived_at = CASE WHEN $1 THEN COALESCE(archived_at, NOW()) END WHERE id = $2',
+        [cocktail.archived, cocktail.id]
+      );
+    }
+
+    if (recipeChanged) {
+      await saveRecipeIngredients(db, cocktail.id, lines);
+    }
+
+    if (!measured && cocktail.ingredients !== undefined) {
+      // No measured recipe: keep the plain ingredient names
+      await db.query(
+        'UPDATE cocktails SET ingredients = $1 WHERE id = $2',
+        [JSON.stringify(cocktail.ingredients), cocktail.id]
+      );
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace mode: take out what the imported sections don't list
+ * Cocktails are archived (orders keep them), ingredients still used by a recipe,
+ * a modifier or with a stock history are marked out of stock instead of deleted
+ */
+async function removeUnlisted(db, catalog, changes) {
+  if (catalog.cocktails) {
+    const archived = await db.query(`
+      UPDATE cocktails
+      SET archived_at = NOW()
+      WHERE archived_at IS NULL AND id <> $1 AND NOT (id = ANY($2))
+      RETURNING id
+    `, [DELETED_COCKTAIL_ID, catalog.cocktails.map((c) => c.id)]);
+    changes.cocktails.archived.push(...archived.rows.map((row) => row.id));
+  }
+
+  const referencedTags = (catalog.cocktails || []).flatMap((c) => c.tags || []);
+  if (catalog.tags) {
+    const keep = [...catalog.tags.map((t) => t.slug), ...referencedTags];
+    const removed = await db.query('DELETE FROM tags WHERE NOT (slug = ANY($1)) RETURNING slug', [keep]);
+    for (const { slug } of removed.rows) {
+      await db.query('UPDATE cocktails SET tags = tags - $1::text WHERE tags ? $1', [slug]);
+    }
+    changes.tags.removed.push(...removed.rows.map((row) => row.slug));
+  }
+
+  if (catalog.categories) {
+    const keep = [
+      ...catalog.categories.map((c) => c.slug),
+      ...(catalog.cocktails || []).map((c) => c.category).filter(Boolean),
+    ];
+    const removed = await db.query('DELETE FROM categories WHERE NOT (slug = ANY($1)) RETURNING slug', [keep]);
+    changes.categories.removed.push(...removed.rows.map((row) => row.slug));
+  }
+
+  if (catalog.ingredients) {
+    const keep = catalog.ingredients.map((i) => i.name.trim().toLowerCase());
+    const removed = await db.query(`
+      DELETE FROM available_ingredients ai
+      WHERE NOT (LOWER(ai.name) = ANY($1))
+        AND NOT EXISTS (SELECT 1 FROM cocktail_ingredients ci WHERE ci.ingredient_id = ai.id)
+        AND NOT EXISTS (
+          SELECT 1 FROM modifiers md
+          WHERE md.remove_ingredients @> jsonb_build_array(ai.id)
+            OR md.add_ingredients @> jsonb_build_array(jsonb_build_object('ingredientId', ai.id))
+        )
+        AND NOT EXISTS (SELECT 1 FROM ingredient_stock_movements m WHERE m.ingredient_id = ai.id)
+      RETURNING name
+    `, [keep]);
+    changes.ingredients.removed.push(...removed.rows.map((row) => row.name));
+
+    const disabled = await db.query(`
+      UPDATE available_ingredients
+      SET in_stock = false
+      WHERE NOT (LOWER(name) = ANY($1)) AND in_stock = true
+      RETURNING name
+    `, [keep]);
+    changes.ingredients.outOfStock.push(...disabled.rows.map((row) => row.name));
+  }
+}
+
+/**
+ * Apply a validated catalog inside the caller's transaction
+ * merge: create or update what the file lists, leave the rest alone
+ * replace: same, then remove what the provided sections don't list (see removeUnlisted)
+ * Returns { changes } or { error } (the caller rolls back)
+ */
+export async function importCatalog(db, catalog, { mode, userId }) {
+  const changes = {
+    ingredients: { created: [], updated: [], removed: [], outOfStock: [] },
+    tags: { created: [], updated: [], removed: [] },
+    categories: { created: [], updated: [], removed: [] },
+    cocktails: { created: [], updated: [], archived: [] },
+  };
+
+  if (catalog.ingredients) {
+    await importIngredients(db, catalog.ingredients, userId, changes);
+  }
+
+  // Tags and categories used by cocktails but not described anywhere are created with their slug as name
+  const cocktails = catalog.cocktails || [];
+  const withReferenced = (entries, slugs) => [
+    ...entries,
+    ...[...new Set(slugs)]
+      .filter((slug) => !entries.some((entry) => entry.slug === slug))
+      .map((slug) => ({ slug, name: slug })),
+  ];
+  const knownTags = await db.query('SELECT slug FROM tags');
+  const knownCategories = await db.query('SELECT slug FROM categories');
+  const missing = (known, slugs) => slugs.filter((slug) => !known.rows.some((row) => row.slug === slug));
+
+  await importTaxonomy(db, 'tags', withReferenced(
+    catalog.tags || [],
+    missing(knownTags, cocktails.flatMap((c) => c.tags || []))
+  ), changes);
+  await importTaxonomy(db, 'categories', withReferenced(
+    catalog.categories || [],
+    missing(knownCategories, cocktails.map((c) => c.category).filter(Boolean))
+  ), changes);
+
+  const error = await importCocktails(db, cocktails, changes);
+  if (error) {
+    return { error };
+  }
+
+  if (mode === 'replace') {
+    await removeUnlisted(db, catalog, changes);
+  }
+
+  return { changes };
+}
@@ -0,0 +1,109 @@
+// Minimal RFC 4180 CSV reading and writing (comma separated, double-quote escaping)
+
+// Text cells a spreadsheet would run as a formula (=HYPERLINK(...), +cmd|...)
+// are written with a leading ' and read back without it
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV line (without line break); null/undefined become empty cells
+ */
+export function toCsvLine(values) {
+  return values.map((value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Serialize rows to CSV with a header line
+ * columns: keys to export, in order
+ */
+export function toCsv(rows, columns) {
+  const lines = [toCsvLine(columns)];
+  for (const row of rows) {
+    lines.push(toCsvLine(columns.map((column) => row[column])));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+const readCell = (value) => {
+  if (value === '') {
+    return null;
+  }
+  return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+};
+
+/**
+ * Parse CSV text into objects keyed by the header line
+ * Empty cells become null. Returns { rows } or { error }
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const input = text.replace(/^\uFEFF/, ''); // Excel's byte order mark
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    return { error: 'Unterminated quoted field' };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...lines] = records.filter((r) => !(r.length === 1 && r[0] === ''));
+  if (!header) {
+    return { rows: [] };
+  }
+
+  const rows = [];
+  for (const [index, line] of lines.entries()) {
+    if (line.length !== header.length) {
+      return { error: `Line ${index + 2}: expected ${header.length} fields, got ${line.length}` };
+    }
+    rows.push(Object.fromEntries(header.map((column, c) => [column.trim(), readCell(line[c])])));
+  }
+  return { rows };
+}
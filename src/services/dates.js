@@ -0,0 +1,20 @@
+// Dates given as query parameters, checked strictly before they reach PostgreSQL
+// (Date.parse also takes "1" or "March 7", which ::timestamptz rejects)
+
+// 2026-10-18, 2026-10-18T22:00, 2026-10-18T22:00:00.000Z, 2026-10-18T22:00:00+02:00
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T([01]\d|2[0-3]):[0-5]\d(?::[0-5]\d(?:\.\d{1,6})?)?(?:Z|[+-](?:[01]\d|2[0-3]):?[0-5]\d)?)?$/;
+
+/**
+ * Whether a value is an ISO 8601 date or date-time on a real calendar day
+ */
+export function isIsoDate(value) {
+  const match = typeof value === 'string' && ISO_DATE.exec(value);
+  if (!match) {
+    return false;
+  }
+
+  // Date.UTC rolls 2026-02-30 over to March: the day must come back unchanged
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
@@ -0,0 +1,82 @@
+// Cocktail images: validation, storage on local disk and thumbnails
+import { mkdir, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { slugify } from './taxonomy.js';
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+export const MAX_IMAGE_BYTES = parseFloat(process.env.MAX_IMAGE_SIZE_MB || '5') * 1024 * 1024;
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Public URL prefix of stored cocktail images (served by index.js from UPLOAD_DIR)
+const PUBLIC_PREFIX = '/uploads/cocktails/';
+const COCKTAIL_DIR = path.join(UPLOAD_DIR, 'cocktails');
+
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Validate and store an uploaded cocktail image with its thumbnail
+ * The image is decoded (so the bytes must really be a JPEG/PNG/WebP), stripped of
+ * metadata and downscaled; file names are unique so they can be cached forever, and built
+ * from the slugified id so no cocktail id can point outside COCKTAIL_DIR
+ * Returns { image, thumbnail } public URLs, or null when the file isn't a supported image
+ */
+export async function storeCocktailImage(cocktailId, buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return null;
+  }
+  if (!['jpeg', 'png', 'webp'].includes(metadata.format)) {
+    return null;
+  }
+
+  const ext = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+  const baseName = `${slugify(cocktailId) || 'cocktail'}-${crypto.randomBytes(6).toString('hex')}`;
+
+  const [image, thumbnail] = await Promise.all([
+    sharp(buffer)
+      .rotate()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(metadata.format)
+      .toBuffer(),
+    sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer(),
+  ]);
+
+  await mkdir(COCKTAIL_DIR, { recursive: true });
+  await writeFile(path.join(COCKTAIL_DIR, `${baseName}.${ext}`), image);
+  await writeFile(path.join(COCKTAIL_DIR, `${baseName}-thumb.webp`), thumbnail);
+
+  return {
+    image: `${PUBLIC_PREFIX}${baseName}.${ext}`,
+    thumbnail: `${PUBLIC_PREFIX}${baseName}-thumb.webp`,
+  };
+}
+
+/**
+ * Delete stored images by public URL
+ * URLs that don't point to our uploads (external images) are ignored
+ */
+export async function removeStoredImages(...urls) {
+  for (const url of urls) {
+    if (typeof url !== 'string' || !url.startsWith(PUBLIC_PREFIX)) {
+      continue;
+    }
+
+    const fileName = path.basename(url);
+    try {
+      await unlink(path.join(COCKTAIL_DIR, fileName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to remove image ${fileName}:`, error.message);
+      }
+    }
+  }
+}
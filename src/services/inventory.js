@@ -0,0 +1,189 @@
+// Quantity-based ingredient inventory
+// Stock is kept in the ingredient's own unit; recipe amounts are converted on use.
+
+export const STOCK_UNITS = ['ml', 'cl', 'pieces', 'bottles'];
+export const RECIPE_UNITS = ['ml', 'cl', 'pieces'];
+
+// Volume units expressed in ml ('bottles' uses the ingredient's bottle size)
+const ML_PER_UNIT = { ml: 1, cl: 10 };
+
+/**
+ * Convert an amount between units for a given ingredient
+ * Returns null when units are not compatible (e.g. pieces → ml)
+ */
+export function convertAmount(amount, fromUnit, toUnit, bottleSizeMl = null) {
+  if (fromUnit === toUnit) {
+    return amount;
+  }
+
+  const toMl = (unit) => (unit === 'bottles' ? bottleSizeMl : ML_PER_UNIT[unit]);
+  const fromFactor = toMl(fromUnit);
+  const toFactor = toMl(toUnit);
+
+  if (!fromFactor || !toFactor) {
+    return null;
+  }
+
+  return (amount * fromFactor) / toFactor;
+}
+
+/**
+ * Record a stock movement (delta in the ingredient's stock unit)
+ */
+export async function recordMovement(db, { ingredientId, delta, unit, reason, orderId = null, userId = null }) {
+  await db.query(`
+    INSERT INTO ingredient_stock_movements (ingredient_id, delta, unit, reason, order_id, user_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [ingredientId, delta, unit, reason, orderId, userId]);
+}
+
+/**
+ * Recompute in_stock for tracked ingredients
+ * An ingredient is out of stock when it can't cover the smallest serving that uses it
+ * (or when it is empty, if no recipe has amounts for it yet)
+ */
+export async function refreshStockStatus(db, ingredientIds) {
+  if (ingredientIds.length === 0) {
+    return [];
+  }
+
+  const result = await db.query(`
+    SELECT
+      ai.id, ai.quantity, ai.unit, ai.bottle_size_ml,
+      COALESCE(json_agg(json_build_object('amount', ci.amount, 'unit', ci.unit))
+        FILTER (WHERE ci.cocktail_id IS NOT NULL), '[]') as servings
+    FROM available_ingredients ai
+    LEFT JOIN cocktail_ingredients ci ON ci.ingredient_id = ai.id
+    WHERE ai.id = ANY($1) AND ai.quantity IS NOT NULL
+    GROUP BY ai.id
+  `, [ingredientIds]);
+
+  const changed = [];
+  for (const ingredient of result.rows) {
+    const quantity = parseFloat(ingredient.quantity);
+    const servings = ingredient.servings
+      .map((s) => convertAmount(parseFloat(s.amount), s.unit, ingredient.unit, parseFloat(ingredient.bottle_size_ml)))
+      .filter((amount) => amount !== null);
+
+    const smallestServing = servings.length > 0 ? Math.min(...servings) : 0;
+    const inStock = quantity > 0 && quantity >= smallestServing;
+
+    const update = await db.query(`
+      UPDATE available_ingredients
+      SET in_stock = $1
+      WHERE id = $2 AND in_stock IS DISTINCT FROM $1
+      RETURNING id, name, in_stock
+    `, [inStock, ingredient.id]);
+
+    changed.push(...update.rows);
+  }
+
+  return changed;
+}
+
+/**
+ * Subtract the recipe amounts of a completed order from stock
+ * Line modifiers apply: removed ingredients are skipped, spirits are scaled by
+ * the alcohol factor (0 for virgin, 2 for double) and added ingredients are used too
+ * Untracked ingredients (quantity NULL) are left alone
+ * Movements record the actual change (stock never goes below 0); an amount that can't be
+ * converted to the stock unit is recorded with a 0 delta and the reason, for the admin to fix
+ */
+export async function consumeOrderIngredients(db, orderId, userId) {
+  const lines = await db.query(`
+    SELECT
+      oi.quantity, oi.modifiers, oi.alcohol_factor,
+      COALESCE(json_agg(json_build_object(
+        'ingredientId', ci.ingredient_id, 'amount', ci.amount, 'unit', ci.unit
+      )) FILTER (WHERE ci.ingredient_id IS NOT NULL), '[]') as recipe
+    FROM order_items oi
+    LEFT JOIN cocktail_ingredients ci ON ci.cocktail_id = oi.cocktail_id
+    WHERE oi.order_id = $1
+    GROUP BY oi.id
+  `, [orderId]);
+
+  const needed = [];
+  for (const line of lines.rows) {
+    const removed = new Set(line.modifiers.flatMap((m) => m.remove_ingredients));
+    const alcoholFactor = parseFloat(line.alcohol_factor);
+
+    for (const ingredient of line.recipe.filter((i) => !removed.has(i.ingredientId))) {
+      needed.push({ ...ingredient, quantity: line.quantity, scaleWithAlcohol: true, alcoholFactor });
+    }
+    for (const ingredient of line.modifiers.flatMap((m) => m.add_ingredients)) {
+      needed.push({ ...ingredient, quantity: line.quantity, scaleWithAlcohol: false });
+    }
+  }
+
+  if (needed.length === 0) {
+    return [];
+  }
+
+  const tracked = await db.query(`
+    SELECT id, name, unit, bottle_size_ml, abv
+    FROM available_ingredients
+    WHERE id = ANY($1) AND quantity IS NOT NULL
+    FOR UPDATE
+  `, [[...new Set(needed.map((n) => n.ingredientId))]]);
+  const ingredients = new Map(tracked.rows.map((row) => [row.id, row]));
+
+  // Total per ingredient, in its stock unit
+  const totals = new Map();
+  const unconvertible = new Map();
+  for (const need of needed) {
+    const ingredient = ingredients.get(need.ingredientId);
+    if (!ingredient) {
+      continue;
+    }
+
+    const factor = need.scaleWithAlcohol && parseFloat(ingredient.abv) > 0 ? need.alcoholFactor : 1;
+    const recipeAmount = parseFloat(need.amount) * need.quantity * factor;
+    if (recipeAmount === 0) {
+      continue;
+    }
+
+    const amount = convertAmount(recipeAmount, need.unit, ingredient.unit, parseFloat(ingredient.bottle_size_ml));
+    if (amount === null) {
+      console.error(`⚠️ Cannot convert ${need.unit} to ${ingredient.unit} for ${ingredient.name}`);
+      unconvertible.set(`${ingredient.id}:${need.unit}`, { ingredient, recipeUnit: need.unit });
+      continue;
+    }
+    totals.set(ingredient.id, { unit: ingredient.unit, amount: (totals.get(ingredient.id)?.amount || 0) + amount });
+  }
+
+  for (const [ingredientId, { unit, amount }] of totals) {
+    const result = await db.query(`
+      UPDATE available_ingredients ai
+      SET quantity = GREATEST(ai.quantity - $1, 0)
+      FROM (SELECT id, quantity FROM available_ingredients WHERE id = $2) previous
+      WHERE ai.id = previous.id
+      RETURNING previous.quantity as previous_quantity, ai.quantity
+    `, [amount, ingredientId]);
+
+    const { previous_quantity: before, quantity: after } = result.rows[0];
+    const delta = parseFloat(after) - parseFloat(before);
+    const missing = amount + delta;
+
+    await recordMovement(db, {
+      ingredientId,
+      delta,
+      unit,
+      reason: missing > 1e-9 ? `order (${Math.round(missing * 1e6) / 1e6} ${unit} short)` : 'order',
+      orderId,
+      userId,
+    });
+  }
+
+  for (const { ingredient, recipeUnit } of unconvertible.values()) {
+    await recordMovement(db, {
+      ingredientId: ingredient.id,
+      delta: 0,
+      unit: ingredient.unit,
+      reason: `order: cannot convert ${recipeUnit} to ${ingredient.unit}`,
+      orderId,
+      userId,
+    });
+  }
+
+  return refreshStockStatus(db, [...totals.keys()]);
+}
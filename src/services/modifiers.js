@@ -0,0 +1,142 @@
+// Order modifiers ("virgin", "double", "sans glace"...): per-line customizations
+// defined by admins, globally or for one cocktail
+import { RECIPE_UNITS } from './inventory.js';
+
+export const MAX_LINE_MODIFIERS = 5;
+const MAX_ALCOHOL_FACTOR = 3;
+
+/**
+ * Validate the modifier fields present in a request body (admin /modifiers routes)
+ * Returns an error message in English, or null when valid
+ */
+export function validateModifierFields({ name, group, remove_ingredients, add_ingredients, alcohol_factor }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'name must be a non-empty string (100 characters max)';
+  }
+
+  if (group !== undefined && group !== null && (typeof group !== 'string' || !group.trim() || group.length > 50)) {
+    return 'group must be a non-empty string (50 characters max)';
+  }
+
+  if (remove_ingredients !== undefined) {
+    if (!Array.isArray(remove_ingredients) || !remove_ingredients.every(Number.isInteger)) {
+      return 'remove_ingredients must be an array of ingredient ids';
+    }
+  }
+
+  if (add_ingredients !== undefined) {
+    if (!Array.isArray(add_ingredients) || !add_ingredients.every((line) => Number.isInteger(line?.ingredientId)
+      && typeof line.amount === 'number' && line.amount > 0
+      && RECIPE_UNITS.includes(line.unit))) {
+      return `add_ingredients lines need ingredientId, a positive amount and a unit (${RECIPE_UNITS.join(', ')})`;
+    }
+  }
+
+  if (alcohol_factor !== undefined) {
+    if (typeof alcohol_factor !== 'number' || alcohol_factor < 0 || alcohol_factor > MAX_ALCOHOL_FACTOR) {
+      return `alcohol_factor must be a number between 0 (virgin) and ${MAX_ALCOHOL_FACTOR}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Ingredient ids referenced by a modifier that don't exist
+ */
+export async function findUnknownIngredients(db, { remove_ingredients = [], add_ingredients = [] }) {
+  const ids = [...new Set([...remove_ingredients, ...add_ingredients.map((line) => line.ingredientId)])];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const known = await db.query('SELECT id FROM available_ingredients WHERE id = ANY($1)', [ids]);
+  const knownIds = known.rows.map((row) => row.id);
+  return ids.filter((id) => !knownIds.includes(id));
+}
+
+/**
+ * Resolve the modifier ids chosen on each order line into snapshots stored with the line
+ * A modifier must be global or belong to the line's cocktail, at most one per group
+ * Sets item.modifiers / item.alcoholFactor and returns null, or returns an error message
+ * (in French, like the rest of POST /orders)
+ */
+export async function resolveLineModifiers(db, items) {
+  const ids = [...new Set(items.flatMap((item) => item.modifierIds))];
+  const result = ids.length > 0
+    ? await db.query('SELECT * FROM modifiers WHERE id = ANY($1)', [ids])
+    : { rows: [] };
+  const modifiers = new Map(result.rows.map((m) => [m.id, m]));
+
+  for (const item of items) {
+    const chosen = [];
+    const groups = new Set();
+
+    for (const id of item.modifierIds) {
+      const modifier = modifiers.get(id);
+      if (!modifier || (modifier.cocktail_id && modifier.cocktail_id !== item.cocktailId)) {
+        return `Option ${id} indisponible pour ${item.cocktailId}`;
+      }
+      if (modifier.group_name) {
+        if (groups.has(modifier.group_name)) {
+          return `Une seule option "${modifier.group_name}" par cocktail`;
+        }
+        groups.add(modifier.group_name);
+      }
+      chosen.push({
+        id: modifier.id,
+        name: modifier.name,
+        remove_ingredients: modifier.remove_ingredients,
+        add_ingredients: modifier.add_ingredients,
+        alcohol_factor: parseFloat(modifier.alcohol_factor),
+      });
+    }
+
+    item.modifiers = chosen;
+    item.alcoholFactor = combineModifiers(chosen).alcoholFactor;
+  }
+
+  return null;
+}
+
+/**
+ * Combined effect of a line's modifier snapshots
+ */
+export function combineModifiers(modifiers = []) {
+  return {
+    removed: new Set(modifiers.flatMap((m) => m.remove_ingredients)),
+    added: modifiers.flatMap((m) => m.add_ingredients),
+    alcoholFactor: modifiers.reduce((factor, m) => factor * m.alcohol_factor, 1),
+  };
+}
+
+/**
+ * Whether a cocktail can be made with the given modifiers applied:
+ * removed ingredients (and spirits, for virgin) don't need to be in stock, added ones do
+ */
+export async function canBeMadeWith(db, cocktailId, modifiers) {
+  const { removed, added, alcoholFactor } = combineModifiers(modifiers);
+
+  const result = await db.query(`
+    SELECT ai.id, COALESCE(ai.in_stock, false) as in_stock, COALESCE(ai.abv, 0) as abv
+    FROM cocktails c
+    CROSS JOIN LATERAL jsonb_array_elements_text(c.ingredients) ing
+    LEFT JOIN available_ingredients ai ON LOWER(ai.name) = LOWER(ing)
+    WHERE c.id = $1
+  `, [cocktailId]);
+
+  const recipeOk = result.rows
+    .filter((ing) => !removed.has(ing.id))
+    .filter((ing) => !(alcoholFactor === 0 && parseFloat(ing.abv) > 0))
+    .every((ing) => ing.in_stock);
+
+  if (!recipeOk || added.length === 0) {
+    return recipeOk;
+  }
+
+  const addedStock = await db.query(
+    'SELECT id FROM available_ingredients WHERE id = ANY($1) AND in_stock IS NOT TRUE',
+    [added.map((line) => line.ingredientId)]
+  );
+  return addedStock.rows.length === 0;
+}
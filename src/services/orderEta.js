@@ -0,0 +1,184 @@
+// Queue position and estimated wait time for active orders
+// Wait estimates come from historical lead times (creation → ready/completed),
+// which include the usual queueing at the bar, and grow with the current queue:
+// the drinks ahead are made at the historical preparation pace.
+
+const ACTIVE_STATUSES = ['pending', 'preparing'];
+const MIN_SAMPLES_PER_COCKTAIL = 5;     // Below this, fall back to the overall average
+const DEFAULT_LEAD_TIME_SECONDS = 5 * 60; // No history at all yet
+const DEFAULT_SECONDS_PER_DRINK = 2 * 60; // No preparation history yet
+const LEAD_TIME_SAMPLE_ORDERS = 500;      // Latest finished orders only: recent pace, bounded cost
+
+/**
+ * Queue position of every active order, oldest first
+ * Returns Map<orderId, { position, drinksAhead, queueLength }>
+ */
+export async function getQueueSnapshot(db) {
+  const result = await db.query(`
+    SELECT
+      o.id,
+      ROW_NUMBER() OVER w as position,
+      COALESCE(SUM(COALESCE(i.quantity, 1)) OVER (
+        w ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ), 0) as drinks_ahead,
+      COUNT(*) OVER () as queue_length
+    FROM orders o
+    LEFT JOIN (
+      SELECT order_id, SUM(quantity) as quantity
+      FROM order_items
+      GROUP BY order_id
+    ) i ON i.order_id = o.id
+    WHERE o.status = ANY($1) AND o.archived_at IS NULL
+    WINDOW w AS (ORDER BY o.created_at, o.id)
+  `, [ACTIVE_STATUSES]);
+
+  return new Map(result.rows.map((row) => [row.id, {
+    position: parseInt(row.position),
+    drinksAhead: parseInt(row.drinks_ahead),
+    queueLength: parseInt(row.queue_length),
+  }]));
+}
+
+/**
+ * Historical lead times (seconds from creation to ready/completed) over the
+ * LEAD_TIME_SAMPLE_ORDERS latest finished orders
+ * and the preparation time per drink (preparing → ready, divided by the order's drinks)
+ * Returns { byCocktail: Map<cocktailId, seconds>, overall: seconds | null, secondsPerDrink }
+ */
+export async function getLeadTimes(db) {
+  const result = await db.query(`
+    WITH recent AS (
+      SELECT id, created_at, completed_at
+      FROM orders
+      WHERE status IN ('ready', 'completed')
+      ORDER BY id DESC
+      LIMIT $1
+    ),
+    durations AS (
+      SELECT
+        o.id,
+        EXTRACT(EPOCH FROM (
+          COALESCE(
+            (SELECT MIN(h.changed_at) FROM order_status_history h
+             WHERE h.order_id = o.id AND h.to_status IN ('ready', 'completed')),
+            o.completed_at
+          ) - o.created_at
+        )) as seconds
+      FROM recent o
+    )
+    SELECT
+      oi.cocktail_id,
+      COUNT(DISTINCT d.id) as samples,
+      AVG(d.seconds) as avg_seconds
+    FROM durations d
+    JOIN order_items oi ON oi.order_id = d.id
+    WHERE d.seconds > 0
+    GROUP BY ROLLUP (oi.cocktail_id)
+  `, [LEAD_TIME_SAMPLE_ORDERS]);
+
+  const pace = await db.query(`
+    WITH recent AS (
+      SELECT id
+      FROM orders
+      WHERE status IN ('ready', 'completed')
+      ORDER BY id DESC
+      LIMIT $1
+    ),
+    timed AS (
+      SELECT
+        (SELECT MIN(h.changed_at) FROM order_status_history h
+         WHERE h.order_id = o.id AND h.to_status = 'preparing') as preparing_at,
+        (SELECT MIN(h.changed_at) FROM order_status_history h
+         WHERE h.order_id = o.id AND h.to_status IN ('ready', 'completed')) as ready_at,
+        (SELECT SUM(oi.quantity) FROM order_items oi WHERE oi.order_id = o.id) as drinks
+      FROM recent o
+    )
+    SELECT AVG(EXTRACT(EPOCH FROM (ready_at - preparing_at)) / drinks) as seconds_per_drink
+    FROM timed
+    WHERE ready_at > preparing_at AND drinks > 0
+  `, [LEAD_TIME_SAMPLE_ORDERS]);
+
+  const secondsPerDrink = pace.rows[0].seconds_per_drink === null
+    ? DEFAULT_SECONDS_PER_DRINK
+    : parseFloat(pace.rows[0].seconds_per_drink);
+
+  const byCocktail = new Map();
+  let overall = null;
+
+  for (const row of result.rows) {
+    if (row.avg_seconds === null) {
+      continue;
+    }
+
+    const seconds = parseFloat(row.avg_seconds);
+    if (row.cocktail_id === null) {
+      overall = seconds;
+    } else if (parseInt(row.samples) >= MIN_SAMPLES_PER_COCKTAIL) {
+      byCocktail.set(row.cocktail_id, seconds);
+    }
+  }
+
+  return { byCocktail, overall, secondsPerDrink };
+}
+
+/**
+ * Queue and wait estimate for a single order
+ * order: row with id, status, created_at and items [{ cocktail_id, quantity }]
+ */
+export function estimateOrder(order, queue, leadTimes) {
+  const slot = ACTIVE_STATUSES.includes(order.status) ? queue.get(order.id) : null;
+  if (!slot) {
+    return {
+      queue_position: null,
+      queue_length: null,
+      drinks_ahead: null,
+      estimated_wait_minutes: null,
+      estimated_ready_at: null,
+      estimate_source: null,
+    };
+  }
+
+  // The slowest line decides when the whole order is ready
+  const lineTimes = (order.items || []).map((item) => leadTimes.byCocktail.get(item.cocktail_id));
+  const known = lineTimes.filter((seconds) => seconds !== undefined);
+
+  let leadTime;
+  let source;
+  if (known.length > 0 && known.length === lineTimes.length) {
+    leadTime = Math.max(...known);
+    source = 'cocktail';
+  } else {
+    source = leadTimes.overall !== null ? 'overall' : 'default';
+    leadTime = Math.max(leadTimes.overall ?? DEFAULT_LEAD_TIME_SECONDS, ...known);
+  }
+
+  const createdAt = new Date(order.created_at).getTime();
+  const elapsed = (Date.now() - createdAt) / 1000;
+
+  // A long queue outweighs the usual lead time: every drink ahead, then this order's own
+  const drinks = (order.items || []).reduce((sum, item) => sum + (item.quantity ?? 1), 0) || 1;
+  const queued = (slot.drinksAhead + drinks) * leadTimes.secondsPerDrink;
+
+  const remaining = Math.max(60, leadTime - elapsed, queued); // Never promise less than a minute
+
+  return {
+    queue_position: slot.position,
+    queue_length: slot.queueLength,
+    drinks_ahead: slot.drinksAhead,
+    estimated_wait_minutes: Math.ceil(remaining / 60),
+    estimated_ready_at: new Date(Date.now() + remaining * 1000).toISOString(),
+    estimate_source: source,
+  };
+}
+
+/**
+ * Add queue position and wait estimate to a list of orders
+ */
+export async function withEta(db, orders) {
+  if (!orders.some((order) => ACTIVE_STATUSES.includes(order.status))) {
+    return orders.map((order) => ({ ...order, ...estimateOrder(order, new Map(), null) }));
+  }
+
+  const [queue, leadTimes] = await Promise.all([getQueueSnapshot(db), getLeadTimes(db)]);
+  return orders.map((order) => ({ ...order, ...estimateOrder(order, queue, leadTimes) }));
+}
@@ -0,0 +1,52 @@
+// Order events bus for real-time updates (Server-Sent Events)
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+// One listener per connected client, don't warn on busy nights
+emitter.setMaxListeners(0);
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000; // Keep proxies from closing idle streams
+
+/**
+ * Publish an order event to all connected clients
+ * type: 'created' | 'updated' | 'archived'
+ * order: order row (must contain at least id and user_id)
+ */
+export function publishOrderEvent(type, order) {
+  emitter.emit('order', { type, order });
+}
+
+/**
+ * Open a Server-Sent Events stream for the authenticated user
+ * Admins receive every order event, regular users only their own orders
+ */
+export function openOrderStream(req, res) {
+  const isAdmin = req.user.role === 'admin';
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const onOrder = ({ type, order }) => {
+    if (!isAdmin && order.user_id !== req.user.id) {
+      return;
+    }
+    res.write(`event: order.${type}\ndata: ${JSON.stringify(order)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  emitter.on('order', onOrder);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    emitter.off('order', onOrder);
+  });
+}
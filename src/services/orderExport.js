@@ -0,0 +1,169 @@
+// Order history export, streamed in batches so memory stays flat on large histories
+import { ORDER_STATUSES } from './orderStatus.js';
+import { toCsvLine } from './csv.js';
+import { isIsoDate } from './dates.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+const BATCH_SIZE = 500;
+
+// CSV: one line per order line (cocktail), order fields repeated
+const CSV_COLUMNS = [
+  'order_id', 'created_at', 'completed_at', 'status', 'session_id', 'session_name',
+  'user_id', 'username', 'cocktail_id', 'cocktail_name', 'quantity', 'modifiers', 'line_notes', 'order_notes',
+];
+
+/**
+ * Validate ?from, ?to (ISO dates, a `to` day alone is included, as in analytics), ?status and ?sessionId
+ * Returns { filters } or { error }
+ */
+export function parseExportFilters({ from, to, status, sessionId }) {
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !isIsoDate(value)) {
+      return { error: `${name} doit être une date ISO (2026-10-18 ou 2026-10-18T22:00:00Z)` };
+    }
+  }
+
+  const statuses = status === undefined ? null : String(status).split(',').filter(Boolean);
+  if (statuses && !statuses.every((s) => ORDER_STATUSES.includes(s))) {
+    return { error: `status doit être parmi : ${ORDER_STATUSES.join(', ')}` };
+  }
+
+  const session = sessionId === undefined ? null : Number(sessionId);
+  if (session !== null && !Number.isInteger(session)) {
+    return { error: 'sessionId doit être un entier' };
+  }
+
+  return { filters: { from: from ?? null, to: to ?? null, statuses, sessionId: session } };
+}
+
+/**
+ * Orders matching the filters, oldest first, BATCH_SIZE at a time (keyset pagination on id)
+ */
+async function* orderBatches(db, { from, to, statuses, sessionId }) {
+  let lastId = 0;
+
+  while (true) {
+    const result = await db.query(`
+      SELECT
+        o.id, o.created_at, o.completed_at, o.status, o.notes,
+        o.session_id, s.name as session_name,
+        o.user_id, u.username,
+        COALESCE(json_agg(json_build_object(
+          'cocktail_id', oi.cocktail_id,
+          'cocktail_name', c.name,
+          'quantity', oi.quantity,
+          'modifiers', oi.modifiers,
+          'notes', oi.notes
+        ) ORDER BY oi.id) FILTER (WHERE oi.id IS NOT NULL), '[]'::json) as items
+      FROM orders o
+      LEFT JOIN users u ON u.id = o.user_id
+      LEFT JOIN bar_sessions s ON s.id = o.session_id
+      LEFT JOIN order_items oi ON oi.order_id = o.id
+      LEFT JOIN cocktails c ON c.id = oi.cocktail_id
+      WHERE o.id > $1
+        AND ($2::timestamptz IS NULL OR o.created_at >= $2::timestamptz)
+        AND ($3::text IS NULL OR o.created_at < CASE
+          WHEN $3::text ~ '^\\d{4}-\\d{2}-\\d{2}$' THEN ($3::date + 1)::timestamptz
+          ELSE $3::timestamptz
+        END)
+        AND ($4::text[] IS NULL OR o.status = ANY($4))
+        AND ($5::int IS NULL OR o.session_id = $5)
+      GROUP BY o.id, s.name, u.username
+      ORDER BY o.id ASC
+      LIMIT $6
+    `, [lastId, from, to, statuses, sessionId, BATCH_SIZE]);
+
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    yield result.rows;
+
+    if (result.rows.length < BATCH_SIZE) {
+      return;
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+/**
+ * Write a chunk, waiting for the client to catch up when its buffer is full
+ */
+function write(stream, chunk) {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : null);
+
+function toCsvLines(order) {
+  const fields = {
+    order_id: order.id,
+    created_at: isoDate(order.created_at),
+    completed_at: isoDate(order.completed_at),
+    status: order.status,
+    session_id: order.session_id,
+    session_name: order.session_name,
+    user_id: order.user_id,
+    username: order.username,
+    order_notes: order.notes,
+  };
+
+  // Orders without lines still get one line
+  const items = order.items.length > 0 ? order.items : [{}];
+  return items.map((item) => toCsvLine(CSV_COLUMNS.map((column) => ({
+    ...fields,
+    cocktail_id: item.cocktail_id,
+    cocktail_name: item.cocktail_name,
+    quantity: item.quantity,
+    modifiers: (item.modifiers || []).map((m) => m.name).join('|'),
+    line_notes: item.notes,
+  })[column])) + '\r\n').join('');
+}
+
+function toJsonLine(order) {
+  return JSON.stringify({
+    id: order.id,
+    created_at: isoDate(order.created_at),
+    completed_at: isoDate(order.completed_at),
+    status: order.status,
+    notes: order.notes,
+    session: order.session_id === null ? null : { id: order.session_id, name: order.session_name },
+    user: { id: order.user_id, username: order.username },
+    items: order.items,
+  }) + '\n';
+}
+
+/**
+ * Stream the export to a writable (the response), stops early if the client goes away
+ * Returns the number of orders written
+ */
+export async function streamOrderExport(db, filters, format, stream) {
+  if (format === 'csv') {
+    await write(stream, toCsvLine(CSV_COLUMNS) + '\r\n');
+  }
+
+  let count = 0;
+  for await (const orders of orderBatches(db, filters)) {
+    if (stream.destroyed) {
+      break;
+    }
+    const chunk = orders.map(format === 'csv' ? toCsvLines : toJsonLine).join('');
+    await write(stream, chunk);
+    count += orders.length;
+  }
+
+  stream.end();
+  return count;
+}
@@ -0,0 +1,110 @@
+// Retention of archived orders: after ORDER_RETENTION_DAYS they are either anonymized
+// (user and notes removed, cocktails and timings kept for stats) or purged for good.
+// Runs inside the server process, on start and every ORDER_RETENTION_INTERVAL_HOURS.
+
+export const RETENTION_MODES = ['anonymize', 'purge'];
+
+/**
+ * Retention policy from the environment (days = 0: keep archived orders forever)
+ */
+export function getRetentionPolicy() {
+  const days = parseInt(process.env.ORDER_RETENTION_DAYS || '0');
+  const mode = process.env.ORDER_RETENTION_MODE || 'anonymize';
+  const intervalHours = parseFloat(process.env.ORDER_RETENTION_INTERVAL_HOURS || '24');
+
+  return {
+    days: Number.isInteger(days) && days > 0 ? days : 0,
+    mode: RETENTION_MODES.includes(mode) ? mode : 'anonymize',
+    // setInterval can't wait more than ~24 days
+    intervalHours: intervalHours > 0 ? Math.min(intervalHours, 24 * 24) : 24,
+  };
+}
+
+/**
+ * Anonymize or purge orders archived more than `days` days ago
+ * Returns the number of orders affected
+ */
+export async function applyRetention(db, { days, mode }) {
+  if (mode === 'purge') {
+    // Lines and status history go with their order (ON DELETE CASCADE)
+    const result = await db.query(`
+      DELETE FROM orders
+      WHERE archived_at < NOW() - make_interval(days => $1)
+    `, [days]);
+    return result.rowCount;
+  }
+
+  const result = await db.query(`
+    UPDATE orders o
+    SET user_id = NULL, notes = NULL, anonymized_at = NOW()
+    FROM (
+      SELECT id, user_id FROM orders
+      WHERE archived_at < NOW() - make_interval(days => $1)
+        AND anonymized_at IS NULL
+      FOR UPDATE
+    ) previous
+    WHERE o.id = previous.id
+    RETURNING o.id, previous.user_id
+  `, [days]);
+
+  const ids = result.rows.map((row) => row.id);
+  if (ids.length > 0) {
+    await db.query('UPDATE order_items SET notes = NULL WHERE order_id = ANY($1)', [ids]);
+    // The guest placed (and maybe cancelled) the order: those history rows would name them
+    await db.query(`
+      UPDATE order_status_history h
+      SET changed_by = NULL
+      FROM unnest($1::int[], $2::int[]) AS former(order_id, user_id)
+      WHERE h.order_id = former.order_id AND h.changed_by = former.user_id
+    `, [ids, result.rows.map((row) => row.user_id)]);
+  }
+
+  return ids.length;
+}
+
+/**
+ * One retention pass in its own transaction
+ * Returns the number of orders affected
+ */
+export async function runRetention(pool, policy) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const count = await applyRetention(client, policy);
+    await client.query('COMMIT');
+    return count;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply the retention policy now and on a fixed interval
+ * Returns the timer (null when no policy is configured)
+ */
+export function startRetentionSchedule(pool) {
+  const policy = getRetentionPolicy();
+  if (policy.days === 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const count = await runRetention(pool, policy);
+      if (count > 0) {
+        console.log(`✅ Retention: ${policy.mode === 'purge' ? 'purged' : 'anonymized'} ${count} archived orders`);
+      }
+    } catch (error) {
+      console.error('❌ Retention run failed:', error.message);
+    }
+  };
+
+  console.log(`✅ Order retention: ${policy.mode} archived orders after ${policy.days} days`);
+  run();
+  const timer = setInterval(run, policy.intervalHours * 3600 * 1000);
+  timer.unref(); // Don't keep the process alive for it on shutdown
+  return timer;
+}
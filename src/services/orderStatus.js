@@ -0,0 +1,37 @@
+// Order lifecycle state machine
+// pending → preparing → ready → completed, cancel allowed before completion
+
+export const ORDER_STATUSES = ['pending', 'preparing', 'ready', 'completed', 'cancelled'];
+
+const TRANSITIONS = {
+  pending: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+/**
+ * List statuses reachable from the given status
+ */
+export function allowedTransitions(from) {
+  return TRANSITIONS[from] || [];
+}
+
+/**
+ * Check whether an order may move from one status to another
+ */
+export function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+/**
+ * Record a status change in the order timeline
+ * db: pool or transaction client
+ */
+export async function recordStatusChange(db, orderId, fromStatus, toStatus, userId) {
+  await db.query(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by)
+    VALUES ($1, $2, $3, $4)
+  `, [orderId, fromStatus, toStatus, userId]);
+}
@@ -0,0 +1,156 @@
+// Printable menu: the cocktails that can be served right now, grouped by category,
+// rendered as a print-ready HTML page or a PDF
+import PDFDocument from 'pdfkit';
+import { getCurrentSession, isOnMenu } from './barSession.js';
+
+export const DEFAULT_MENU_TITLE = 'Carte des cocktails';
+export const MAX_TITLE_LENGTH = 100;
+const UNCATEGORIZED = 'Autres';
+const ALCOHOL_FREE_LABEL = 'Sans alcool';
+
+/**
+ * Available cocktails (makeable, not archived, on tonight's menu) grouped by category
+ * cocktailIds: optional subset to print, in any order
+ * Returns { sections: [{ category, cocktails }], missing: ids of the subset that can't be served }
+ */
+export async function getPrintableMenu(db, cocktailIds = null) {
+  const result = await db.query(`
+    SELECT
+      cwa.id, cwa.name, c.description, c.ingredients, c.alcohol_free,
+      cat.name as category, cat.position
+    FROM cocktails_with_availability cwa
+    JOIN cocktails c ON c.id = cwa.id
+    LEFT JOIN categories cat ON cat.slug = c.category
+    WHERE cwa.can_be_made = true
+      AND c.archived_at IS NULL
+      AND ($1::text[] IS NULL OR cwa.id = ANY($1))
+    ORDER BY cat.position ASC NULLS LAST, cat.name ASC, cwa.name ASC
+  `, [cocktailIds]);
+
+  const session = await getCurrentSession(db);
+  const cocktails = session ? result.rows.filter((c) => isOnMenu(session, c.id)) : result.rows;
+
+  const sections = [];
+  for (const cocktail of cocktails) {
+    const category = cocktail.category || UNCATEGORIZED;
+    if (sections.length === 0 || sections[sections.length - 1].category !== category) {
+      sections.push({ category, cocktails: [] });
+    }
+    sections[sections.length - 1].cocktails.push({
+      id: cocktail.id,
+      name: cocktail.name,
+      description: cocktail.description,
+      ingredients: cocktail.ingredients,
+      alcohol_free: cocktail.alcohol_free,
+    });
+  }
+
+  const found = new Set(cocktails.map((c) => c.id));
+  const missing = (cocktailIds || []).filter((id) => !found.has(id));
+
+  return { sections, missing };
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Self-contained HTML page (inline styles, A4 print layout)
+ */
+export function renderMenuHtml({ sections }, title) {
+  const entries = (cocktails) => cocktails.map((cocktail) => `
+      <article class="cocktail">
+        <h3>${escapeHtml(cocktail.name)}${cocktail.alcohol_free
+          ? ` <span class="alcohol-free">${ALCOHOL_FREE_LABEL}</span>`
+          : ''}</h3>
+        ${cocktail.description ? `<p class="description">${escapeHtml(cocktail.description)}</p>` : ''}
+        <p class="ingredients">${cocktail.ingredients.map(escapeHtml).join(' · ')}</p>
+      </article>`).join('');
+
+  const body = sections.map((section) => `
+    <section>
+      <h2>${escapeHtml(section.category)}</h2>${entries(section.cocktails)}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4; margin: 18mm; }
+    body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 180mm; margin: 0 auto; }
+    h1 { text-align: center; font-size: 28pt; letter-spacing: 0.05em; margin: 0 0 10mm; }
+    h2 { font-size: 15pt; text-transform: uppercase; letter-spacing: 0.1em; border-bottom: 1px solid #999; padding-bottom: 2mm; }
+    section { break-inside: avoid-page; margin-bottom: 8mm; }
+    .cocktail { break-inside: avoid; margin: 0 0 5mm; }
+    h3 { font-size: 12pt; margin: 0 0 1mm; }
+    .alcohol-free { font-size: 8pt; font-weight: normal; text-transform: uppercase; border: 1px solid #2e7d32; color: #2e7d32; border-radius: 2mm; padding: 0 1.5mm; vertical-align: middle; }
+    .description { font-style: italic; margin: 0 0 1mm; }
+    .ingredients { font-size: 9.5pt; color: #555; margin: 0; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>${body || `
+  <p>Aucun cocktail disponible pour le moment.</p>`}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the menu as an A4 PDF to a writable stream (e.g. the response)
+ */
+export function writeMenuPdf({ sections }, title, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } });
+  doc.pipe(stream);
+
+  doc.font('Times-Bold').fontSize(26).text(title, { align: 'center' });
+  doc.moveDown(1.5);
+
+  if (sections.length === 0) {
+    doc.font('Times-Roman').fontSize(12).text('Aucun cocktail disponible pour le moment.', { align: 'center' });
+  }
+
+  for (const section of sections) {
+    // Keep a category heading with at least its first cocktail
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 120) {
+      doc.addPage();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(14).text(section.category.toUpperCase(), { characterSpacing: 1 });
+    const lineY = doc.y + 2;
+    doc.moveTo(doc.page.margins.left, lineY)
+      .lineTo(doc.page.width - doc.page.margins.right, lineY)
+      .strokeColor('#999999')
+      .stroke();
+    doc.moveDown(0.6);
+
+    for (const cocktail of section.cocktails) {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 60) {
+        doc.addPage();
+      }
+
+      doc.font('Times-Bold').fontSize(13).fillColor('#222222')
+        .text(cocktail.name, { continued: cocktail.alcohol_free });
+      if (cocktail.alcohol_free) {
+        doc.font('Helvetica').fontSize(8).fillColor('#2e7d32').text(`   ${ALCOHOL_FREE_LABEL.toUpperCase()}`);
+      }
+
+      if (cocktail.description) {
+        doc.font('Times-Italic').fontSize(11).fillColor('#222222').text(cocktail.description);
+      }
+
+      doc.font('Helvetica').fontSize(9.5).fillColor('#555555').text(cocktail.ingredients.join(' · '));
+      doc.moveDown(0.8);
+    }
+
+    doc.moveDown(0.5);
+  }
+
+  doc.end();
+}
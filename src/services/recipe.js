@@ -0,0 +1,145 @@
+// Structured recipe model: measured ingredient lines, steps, method, glass, garnish
+import { RECIPE_UNITS, refreshStockStatus } from './inventory.js';
+
+export const METHODS = ['shaken', 'stirred', 'built'];
+export const GLASSES = [
+  'highball', 'collins', 'lowball', 'coupe', 'martini', 'margarita',
+  'hurricane', 'tiki', 'wine', 'flute', 'shot', 'copper-mug', 'mug',
+];
+
+export const SPIRIT_BASES = [
+  'rum', 'gin', 'vodka', 'tequila', 'mezcal', 'whisky', 'cognac', 'brandy',
+  'cachaca', 'pisco', 'liqueur', 'wine', 'beer', 'none',
+];
+
+const MAX_TEXT_LENGTH = 2000;
+const TAG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Validate recipe ingredient lines
+ * Returns an error message, or null when valid
+ */
+export function validateIngredientLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return 'ingredients must be a non-empty array';
+  }
+
+  for (const line of lines) {
+    if (!Number.isInteger(line?.ingredientId)
+      || typeof line.amount !== 'number' || !(line.amount > 0)
+      || !RECIPE_UNITS.includes(line.unit)) {
+      return `Each ingredient needs ingredientId, a positive amount and a unit (${RECIPE_UNITS.join(', ')})`;
+    }
+  }
+
+  const ids = lines.map((line) => line.ingredientId);
+  if (new Set(ids).size !== ids.length) {
+    return 'Duplicate ingredient in recipe';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the descriptive recipe fields present in a request body
+ * Returns an error message, or null when valid
+ */
+export function validateRecipeFields({ description, method, glass, garnish, steps, spirit_base, tags }) {
+  const isText = (value) => value === null || (typeof value === 'string' && value.length <= MAX_TEXT_LENGTH);
+
+  if (description !== undefined && !isText(description)) {
+    return 'description must be a string';
+  }
+
+  if (method !== undefined && method !== null && !METHODS.includes(method)) {
+    return `method must be one of: ${METHODS.join(', ')}`;
+  }
+
+  if (glass !== undefined && glass !== null && !GLASSES.includes(glass)) {
+    return `glass must be one of: ${GLASSES.join(', ')}`;
+  }
+
+  if (garnish !== undefined && !isText(garnish)) {
+    return 'garnish must be a string';
+  }
+
+  if (steps !== undefined) {
+    if (!Array.isArray(steps)
+      || !steps.every((step) => typeof step === 'string' && step.trim() && step.length <= MAX_TEXT_LENGTH)) {
+      return 'steps must be an array of non-empty strings';
+    }
+  }
+
+  if (spirit_base !== undefined && spirit_base !== null && !SPIRIT_BASES.includes(spirit_base)) {
+    return `spirit_base must be one of: ${SPIRIT_BASES.join(', ')}`;
+  }
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string' && TAG_PATTERN.test(tag))) {
+      return 'tags must be an array of tag slugs (e.g. "tiki", "after-dinner")';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace a cocktail's ingredient lines (lines must be validated)
+ * Keeps cocktails.ingredients (names, used by cocktails_with_availability) in sync
+ * Returns the unknown ingredient ids, empty when saved
+ */
+export async function saveRecipeIngredients(db, cocktailId, lines) {
+  const ingredientIds = lines.map((line) => line.ingredientId);
+
+  const known = await db.query(
+    'SELECT id, name FROM available_ingredients WHERE id = ANY($1)',
+    [ingredientIds]
+  );
+  const names = new Map(known.rows.map((row) => [row.id, row.name]));
+  const unknown = ingredientIds.filter((id) => !names.has(id));
+  if (unknown.length > 0) {
+    return unknown;
+  }
+
+  const previous = await db.query(
+    'DELETE FROM cocktail_ingredients WHERE cocktail_id = $1 RETURNING ingredient_id',
+    [cocktailId]
+  );
+
+  for (const [position, line] of lines.entries()) {
+    await db.query(`
+      INSERT INTO cocktail_ingredients (cocktail_id, ingredient_id, amount, unit, position)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [cocktailId, line.ingredientId, line.amount, line.unit, position]);
+  }
+
+  await db.query(
+    'UPDATE cocktails SET ingredients = $1 WHERE id = $2',
+    [JSON.stringify(ingredientIds.map((id) => names.get(id))), cocktailId]
+  );
+
+  // Serving sizes changed: stock-out thresholds may have too
+  await refreshStockStatus(db, [...new Set([...ingredientIds, ...previous.rows.map((row) => row.ingredient_id)])]);
+
+  return [];
+}
+
+/**
+ * Ingredient lines of a cocktail, in recipe order
+ */
+export async function getRecipeIngredients(db, cocktailId) {
+  const result = await db.query(`
+    SELECT
+      ci.ingredient_id,
+      ai.name,
+      ci.amount::float as amount,
+      ci.unit,
+      ai.in_stock
+    FROM cocktail_ingredients ci
+    JOIN available_ingredients ai ON ai.id = ci.ingredient_id
+    WHERE ci.cocktail_id = $1
+    ORDER BY ci.position, ai.name
+  `, [cocktailId]);
+
+  return result.rows;
+}
@@ -0,0 +1,171 @@
+// Cocktail recommendations: makeable cocktails a guest hasn't tried, close to what they like
+import { getCurrentSession, isOnMenu } from './barSession.js';
+
+// How much each signal says about a guest's taste
+const WEIGHTS = {
+  favorite: 3,
+  rated: 3,   // rated 4 or 5
+  ordered: 1, // per completed order line, capped
+};
+const MAX_ORDERED_WEIGHT = 3;
+const MIN_SIMILARITY = 0.2;
+
+/**
+ * Similarity of two cocktails (0-1): shared ingredients, plus bonuses for
+ * the same spirit base and shared tags
+ */
+function similarity(a, b) {
+  const ingredientsA = new Set(a.ingredients.map((name) => name.toLowerCase()));
+  const ingredientsB = new Set(b.ingredients.map((name) => name.toLowerCase()));
+  const shared = [...ingredientsA].filter((name) => ingredientsB.has(name)).length;
+  const union = new Set([...ingredientsA, ...ingredientsB]).size;
+
+  let score = union > 0 ? shared / union : 0;
+  if (a.spirit_base && a.spirit_base === b.spirit_base && a.spirit_base !== 'none') {
+    score += 0.25;
+  }
+  if (a.tags.some((tag) => b.tags.includes(tag))) {
+    score += 0.1;
+  }
+  return Math.min(score, 1);
+}
+
+/**
+ * Cocktails that can be ordered right now (makeable, not archived, on tonight's menu)
+ * with what's needed to compare and rank them
+ */
+async function getCandidates(db) {
+  const result = await db.query(`
+    SELECT
+      cwa.id, cwa.name, cwa.image, c.thumbnail, c.ingredients, c.spirit_base, c.tags, c.alcohol_free,
+      COALESCE(p.drink_count, 0)::int as popularity
+    FROM cocktails_with_availability cwa
+    JOIN cocktails c ON c.id = cwa.id
+    LEFT JOIN (
+      SELECT cocktail_id, SUM(quantity) as drink_count
+      FROM order_items
+      GROUP BY cocktail_id
+    ) p ON p.cocktail_id = cwa.id
+    WHERE cwa.can_be_made = true AND c.archived_at IS NULL
+  `);
+
+  const session = await getCurrentSession(db);
+  return session ? result.rows.filter((c) => isOnMenu(session, c.id)) : result.rows;
+}
+
+/**
+ * What the guest likes (seeds, with a weight and why) and what they already tried
+ */
+async function getTasteProfile(db, userId) {
+  const result = await db.query(`
+    SELECT c.id, c.name, c.ingredients, c.spirit_base, c.tags, s.source, s.weight
+    FROM (
+      SELECT jsonb_array_elements_text(favorites) as cocktail_id, 'favorite' as source, 1 as weight
+      FROM users WHERE id = $1
+      UNION ALL
+      SELECT cocktail_id, 'rated', 1
+      FROM cocktail_reviews WHERE user_id = $1 AND rating >= 4
+      UNION ALL
+      SELECT oi.cocktail_id, 'ordered', COUNT(*)::int
+      FROM orders o JOIN order_items oi ON oi.order_id = o.id
+      WHERE o.user_id = $1 AND o.status = 'completed'
+      GROUP BY oi.cocktail_id
+    ) s
+    JOIN cocktails c ON c.id = s.cocktail_id
+  `, [userId]);
+
+  const tried = await db.query(`
+    SELECT DISTINCT oi.cocktail_id
+    FROM orders o JOIN order_items oi ON oi.order_id = o.id
+    WHERE o.user_id = $1 AND o.status <> 'cancelled'
+  `, [userId]);
+
+  // Strongest signal per cocktail
+  const seeds = new Map();
+  for (const row of result.rows) {
+    const weight = row.source === 'ordered'
+      ? Math.min(row.weight, MAX_ORDERED_WEIGHT) * WEIGHTS.ordered
+      : WEIGHTS[row.source];
+    if (!seeds.has(row.id) || seeds.get(row.id).weight < weight) {
+      seeds.set(row.id, { ...row, weight });
+    }
+  }
+
+  const excluded = new Set(tried.rows.map((row) => row.cocktail_id));
+  for (const seed of seeds.values()) {
+    if (seed.source === 'favorite') {
+      excluded.add(seed.id);
+    }
+  }
+
+  return { seeds: [...seeds.values()], excluded };
+}
+
+const summarize = ({ id, name, image, thumbnail, alcohol_free, popularity }) => ({
+  id, name, image, thumbnail, alcohol_free, popularity,
+});
+
+/**
+ * Most ordered makeable cocktails, for anonymous guests and to top up short lists
+ */
+function byPopularity(candidates, limit) {
+  return [...candidates]
+    .sort((a, b) => b.popularity - a.popularity || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map((cocktail) => ({
+      ...summarize(cocktail),
+      reason: cocktail.popularity > 0
+        ? `Popular: ordered ${cocktail.popularity} time(s)`
+        : 'Available tonight',
+    }));
+}
+
+/**
+ * Recommend up to `limit` cocktails, each with a short reason
+ * userId null = anonymous guest, popularity only
+ */
+export async function recommendCocktails(db, userId, limit) {
+  const candidates = await getCandidates(db);
+  if (!userId) {
+    return byPopularity(candidates, limit);
+  }
+
+  const { seeds, excluded } = await getTasteProfile(db, userId);
+  const untried = candidates.filter((c) => !excluded.has(c.id));
+
+  const scored = [];
+  for (const candidate of untried) {
+    let best = null;
+    for (const seed of seeds.filter((s) => s.id !== candidate.id)) {
+      const closeness = similarity(candidate, seed);
+      const score = closeness * seed.weight;
+      if (closeness >= MIN_SIMILARITY && (!best || score > best.score)) {
+        best = { score, seed };
+      }
+    }
+    if (best) {
+      scored.push({ candidate, ...best });
+    }
+  }
+
+  const recommended = scored
+    .sort((a, b) => b.score - a.score || b.candidate.popularity - a.candidate.popularity)
+    .slice(0, limit)
+    .map(({ candidate, seed }) => ({
+      ...summarize(candidate),
+      reason: seed.source === 'ordered'
+        ? `Because you ordered ${seed.name}`
+        : `Because you liked ${seed.name}`,
+    }));
+
+  // Not enough taste history yet: complete with popular cocktails
+  if (recommended.length < limit) {
+    const chosen = new Set(recommended.map((c) => c.id));
+    recommended.push(...byPopularity(
+      untried.filter((c) => !chosen.has(c.id)),
+      limit - recommended.length
+    ));
+  }
+
+  return recommended;
+}
@@ -0,0 +1,141 @@
+// Responsible-serving limits: alcoholic drinks per rolling window + cooldown
+// Defaults come from the environment, admins can override them per user.
+
+// Non-integer or out-of-range values fall back to the default
+const envInteger = (name, fallback, min) => {
+  const value = Number(process.env[name] || fallback);
+  return Number.isInteger(value) && value >= min ? value : fallback;
+};
+
+// maxDrinks: null = no limit, 0 = no alcoholic drink at all (only as a per-user override,
+// SERVING_MAX_DRINKS=0 keeps meaning "no limit")
+const DEFAULT_POLICY = {
+  exempt: false,
+  maxDrinks: envInteger('SERVING_MAX_DRINKS', 0, 0) || null,
+  windowMinutes: envInteger('SERVING_WINDOW_MINUTES', 60, 1),
+  cooldownMinutes: envInteger('SERVING_COOLDOWN_MINUTES', 0, 0), // 0 = no cooldown
+};
+
+/**
+ * Effective policy for a user (environment defaults + admin override)
+ */
+export async function getServingPolicy(db, userId) {
+  const result = await db.query(
+    'SELECT * FROM serving_limit_overrides WHERE user_id = $1',
+    [userId]
+  );
+
+  const override = result.rows[0];
+  if (!override) {
+    return { ...DEFAULT_POLICY, overridden: false };
+  }
+
+  return {
+    exempt: override.exempt,
+    maxDrinks: override.max_drinks ?? DEFAULT_POLICY.maxDrinks,
+    windowMinutes: override.window_minutes ?? DEFAULT_POLICY.windowMinutes,
+    cooldownMinutes: override.cooldown_minutes ?? DEFAULT_POLICY.cooldownMinutes,
+    overridden: true,
+  };
+}
+
+/**
+ * Check whether a user may order `alcoholicDrinks` more alcoholic drinks now
+ * Returns null when allowed, or { error, retryAfterSeconds } when refused
+ * db should be the transaction client that will insert the order
+ */
+export async function checkServingLimit(db, userId, alcoholicDrinks) {
+  if (alcoholicDrinks === 0) {
+    return null;
+  }
+
+  const policy = await getServingPolicy(db, userId);
+  if (policy.exempt || (policy.maxDrinks === null && policy.cooldownMinutes === 0)) {
+    return null;
+  }
+
+  const lookbackMinutes = Math.max(policy.windowMinutes, policy.cooldownMinutes);
+
+  // Alcoholic drinks ordered recently, oldest first
+  const result = await db.query(`
+    SELECT
+      EXTRACT(EPOCH FROM (NOW() - o.created_at)) as age_seconds,
+      CEIL(SUM(oi.quantity * oi.alcohol_factor))::int as drinks
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    JOIN cocktails c ON oi.cocktail_id = c.id
+    WHERE o.user_id = $1
+      AND o.status <> 'cancelled'
+      AND c.alcohol_free = false
+      AND oi.alcohol_factor > 0
+      AND o.created_at > NOW() - make_interval(mins => $2)
+    GROUP BY o.id, o.created_at
+    ORDER BY o.created_at ASC
+  `, [userId, lookbackMinutes]);
+
+  const recent = result.rows.map((row) => ({
+    ageSeconds: parseFloat(row.age_seconds),
+    drinks: row.drinks,
+  }));
+
+  // Cooldown since the last alcoholic order
+  if (policy.cooldownMinutes > 0 && recent.length > 0) {
+    const last = recent[recent.length - 1];
+    const wait = policy.cooldownMinutes * 60 - last.ageSeconds;
+    if (wait > 0) {
+      return {
+        error: `Doucement ! Attendez ${formatWait(wait)} entre deux commandes alcoolisées`,
+        retryAfterSeconds: Math.ceil(wait),
+      };
+    }
+  }
+
+  if (policy.maxDrinks === null) {
+    return null;
+  }
+
+  if (policy.maxDrinks === 0) {
+    return {
+      error: 'Les boissons alcoolisées ne sont pas disponibles pour ce compte',
+      retryAfterSeconds: null,
+    };
+  }
+
+  if (alcoholicDrinks > policy.maxDrinks) {
+    return {
+      error: `Maximum ${policy.maxDrinks} verre(s) alcoolisé(s) par ${policy.windowMinutes} min`,
+      retryAfterSeconds: null,
+    };
+  }
+
+  const windowSeconds = policy.windowMinutes * 60;
+  const inWindow = recent.filter((order) => order.ageSeconds < windowSeconds);
+  let total = inWindow.reduce((sum, order) => sum + order.drinks, 0);
+
+  if (total + alcoholicDrinks <= policy.maxDrinks) {
+    return null;
+  }
+
+  // Find when enough old drinks leave the rolling window
+  let wait = 0;
+  for (const order of inWindow) {
+    total -= order.drinks;
+    wait = windowSeconds - order.ageSeconds;
+    if (total + alcoholicDrinks <= policy.maxDrinks) {
+      break;
+    }
+  }
+
+  return {
+    error: `Limite atteinte: ${policy.maxDrinks} verre(s) alcoolisé(s) par ${policy.windowMinutes} min. `
+      + `Prochaine commande possible dans ${formatWait(wait)}`,
+    retryAfterSeconds: Math.ceil(wait),
+  };
+}
+
+function formatWait(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes >= 60
+    ? `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`
+    : `${minutes} min`;
+}
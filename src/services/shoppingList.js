@@ -0,0 +1,161 @@
+// Party shopping lists: recipe totals for an expected crowd, minus current stock,
+// rounded up to what can be bought (bottles, packs)
+import { convertAmount } from './inventory.js';
+import { toCsv } from './csv.js';
+
+const MAX_PLAN_COCKTAILS = 50;
+const MAX_GUESTS = 10000;
+const MAX_DRINKS_PER_GUEST = 20;
+
+// Recipe amounts are added up in ml for liquids, in pieces otherwise
+const baseUnit = (unit) => (unit === 'pieces' ? 'pieces' : 'ml');
+const round = (value) => Math.round(value * 100) / 100;
+// Float noise must not cost an extra bottle (3.0000000001 → 3)
+const roundUp = (value) => Math.ceil(value - 1e-9);
+
+/**
+ * Validate the plan fields present in a request body
+ * Returns an error message, or null when valid
+ */
+export function validatePlanFields({ name, cocktails, guestCount, drinksPerGuest }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return 'name doit être un texte de 1 à 100 caractères';
+  }
+
+  if (cocktails !== undefined) {
+    if (!Array.isArray(cocktails) || cocktails.length === 0 || cocktails.length > MAX_PLAN_COCKTAILS
+      || !cocktails.every((id) => typeof id === 'string')) {
+      return `cocktails doit être un tableau de 1 à ${MAX_PLAN_COCKTAILS} identifiants de cocktails`;
+    }
+    if (new Set(cocktails).size !== cocktails.length) {
+      return 'cocktails contient des doublons';
+    }
+  }
+
+  if (guestCount !== undefined && !(Number.isInteger(guestCount) && guestCount > 0 && guestCount <= MAX_GUESTS)) {
+    return `guestCount doit être un entier entre 1 et ${MAX_GUESTS}`;
+  }
+
+  // Stored as NUMERIC(4, 1): more decimals would be rounded, and the saved list differ from the preview
+  if (drinksPerGuest !== undefined && !(typeof drinksPerGuest === 'number'
+    && drinksPerGuest >= 0.1 && drinksPerGuest <= MAX_DRINKS_PER_GUEST
+    && Math.abs(drinksPerGuest * 10 - Math.round(drinksPerGuest * 10)) < 1e-9)) {
+    return `drinksPerGuest doit être un nombre entre 0.1 et ${MAX_DRINKS_PER_GUEST}, avec une décimale au plus`;
+  }
+
+  return null;
+}
+
+/**
+ * Cocktail ids that don't exist or are archived
+ */
+export async function findUnavailableCocktails(db, cocktailIds) {
+  const known = await db.query(
+    'SELECT id FROM cocktails WHERE id = ANY($1) AND archived_at IS NULL',
+    [cocktailIds]
+  );
+  const knownIds = known.rows.map((row) => row.id);
+  return cocktailIds.filter((id) => !knownIds.includes(id));
+}
+
+/**
+ * Shopping list for a plan, against the current recipes and stock
+ * The drinks (guests × drinks per guest) are split evenly between the cocktails
+ * Cocktails without a measured recipe can't be totalled: their ingredients are listed in `unmeasured`
+ */
+export async function buildShoppingList(db, { cocktails: cocktailIds, guestCount, drinksPerGuest }) {
+  const totalDrinks = roundUp(guestCount * drinksPerGuest);
+
+  const cocktails = await db.query(
+    'SELECT id, name, ingredients FROM cocktails WHERE id = ANY($1) AND archived_at IS NULL ORDER BY name ASC',
+    [cocktailIds]
+  );
+  const servings = cocktails.rows.length > 0 ? roundUp(totalDrinks / cocktails.rows.length) : 0;
+
+  const lines = await db.query(`
+    SELECT
+      ci.cocktail_id, ci.amount, ci.unit as recipe_unit,
+      ai.id, ai.name, ai.quantity, ai.unit, ai.bottle_size_ml, ai.pack_size
+    FROM cocktail_ingredients ci
+    JOIN available_ingredients ai ON ai.id = ci.ingredient_id
+    WHERE ci.cocktail_id = ANY($1)
+  `, [cocktails.rows.map((c) => c.id)]);
+
+  const items = new Map();
+  for (const line of lines.rows) {
+    const unit = baseUnit(line.recipe_unit);
+    const key = `${line.id}:${unit}`;
+    if (!items.has(key)) {
+      items.set(key, { ingredient: line, unit, needed: 0 });
+    }
+    items.get(key).needed += convertAmount(parseFloat(line.amount), line.recipe_unit, unit) * servings;
+  }
+
+  const measured = new Set(lines.rows.map((line) => line.cocktail_id));
+  const unmeasured = new Map();
+  for (const cocktail of cocktails.rows.filter((c) => !measured.has(c.id))) {
+    for (const name of cocktail.ingredients) {
+      unmeasured.set(name, [...(unmeasured.get(name) || []), cocktail.id]);
+    }
+  }
+
+  const shopping = [...items.values()].map(({ ingredient, unit, needed }) => {
+    // Stock counts as nothing on hand when untracked (no quantity) or in a unit that can't be
+    // converted (pieces vs ml, bottles without bottle_size_ml); `stock` tells which
+    const onHand = ingredient.quantity === null
+      ? null
+      : convertAmount(parseFloat(ingredient.quantity), ingredient.unit, unit, parseFloat(ingredient.bottle_size_ml));
+    let stock = 'tracked';
+    if (ingredient.quantity === null) {
+      stock = 'untracked';
+    } else if (onHand === null) {
+      stock = 'unconvertible';
+    }
+    const toBuy = Math.max(0, needed - (onHand || 0));
+
+    const packSize = unit === 'ml'
+      ? parseFloat(ingredient.bottle_size_ml) || null
+      : parseFloat(ingredient.pack_size) || null;
+
+    return {
+      ingredient_id: ingredient.id,
+      name: ingredient.name,
+      unit,
+      needed: round(needed),
+      on_hand: onHand === null ? null : round(onHand),
+      stock,
+      stock_unit: ingredient.unit,
+      to_buy: round(toBuy),
+      purchase_quantity: packSize ? roundUp(toBuy / packSize) : roundUp(toBuy),
+      purchase_unit: packSize ? (unit === 'ml' ? 'bottles' : 'packs') : unit,
+      pack_size: packSize,
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    total_drinks: totalDrinks,
+    cocktails: cocktails.rows.map((c) => ({ id: c.id, name: c.name, servings, measured: measured.has(c.id) })),
+    items: shopping,
+    unmeasured: [...unmeasured.entries()].map(([name, ids]) => ({ name, cocktails: ids })),
+    unavailable: cocktailIds.filter((id) => !cocktails.rows.some((c) => c.id === id)),
+  };
+}
+
+/**
+ * Shopping list as CSV, unmeasured ingredients last with a note
+ */
+export function shoppingListToCsv(list) {
+  const rows = [
+    ...list.items.map((item) => (item.stock === 'unconvertible'
+      ? { ...item, note: `stock en ${item.stock_unit} non convertible en ${item.unit}` }
+      : item)),
+    ...list.unmeasured.map(({ name, cocktails }) => ({
+      name,
+      note: `quantité non mesurée (${cocktails.join(', ')})`,
+    })),
+  ];
+
+  return toCsv(rows, [
+    'name', 'unit', 'needed', 'on_hand', 'to_buy', 'purchase_quantity', 'purchase_unit', 'pack_size', 'note',
+  ]);
+}
@@ -0,0 +1,40 @@
+// Tags and categories used to group the menu
+
+/**
+ * Build a kebab-case slug from a display name ("Après-dîner" → "apres-diner")
+ */
+export function slugify(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove accents
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Check that tags and category exist in the taxonomy
+ * Returns an error message, or null when valid
+ */
+export async function validateTaxonomy(db, { tags, category }) {
+  if (Array.isArray(tags) && tags.length > 0) {
+    const known = await db.query('SELECT slug FROM tags WHERE slug = ANY($1)', [tags]);
+    const knownSlugs = known.rows.map((row) => row.slug);
+    const unknown = tags.filter((tag) => !knownSlugs.includes(tag));
+    if (unknown.length > 0) {
+      return `Unknown tag(s): ${unknown.join(', ')}`;
+    }
+  }
+
+  if (category !== undefined && category !== null) {
+    if (typeof category !== 'string') {
+      return 'category must be a category slug';
+    }
+    const known = await db.query('SELECT slug FROM categories WHERE slug = $1', [category]);
+    if (known.rows.length === 0) {
+      return `Unknown category: ${category}`;
+    }
+  }
+
+  return null;
+}